@@ -0,0 +1,237 @@
+-- schema.sql
+-- Supabase schema for The Hyperlist. Safe to run more than once:
+-- fresh projects get the full tables, existing projects get the missing
+-- columns added by the migration section below.
+-- Column names must stay in step with FIELD_MAPS in storage.js.
+
+/* -------------------- Tables -------------------- */
+create table if not exists users (
+  id text primary key,
+  username text not null,
+  password text,
+  role text,
+  nationality text,
+  points integer,
+  created_at bigint,
+  profile_pic text,
+  show_country boolean,
+  bio text,
+  completed_records jsonb,
+  equipped_title text,
+  permissions jsonb,
+  last_login bigint,
+  banned_until bigint,
+  ban_reason text,
+  banned_by text,
+  banned_at bigint,
+  sanctions jsonb,       -- [{ id, type, reason, issuedBy, issuedAt, until, endedAt, endedBy, endReason, appeal }]
+  password_changed_at bigint,
+  sessions_valid_after bigint,
+  reset_code text,
+  reset_code_expires bigint,
+  reset_code_issued_by text,
+  updated_at timestamp with time zone
+);
+
+create table if not exists levels (
+  id text primary key,
+  name text not null,
+  gd_level_id text,
+  creators jsonb,
+  creator text,          -- derived: creators joined with ', '
+  youtube_url text,
+  thumbnail text,
+  tags jsonb,
+  difficulty text,
+  points integer,
+  placement integer,
+  legacy boolean,        -- moved to the Legacy tier by a mod, whatever its placement
+  status text,
+  verified boolean,      -- derived: status = 'published'
+  submitter text,
+  approved_by text,
+  approved_at bigint,
+  created_at bigint,
+  updated_at timestamp with time zone
+);
+
+create table if not exists submissions (
+  id text primary key,
+  type text not null,
+  name text,
+  creators jsonb,
+  gd_level_id text,
+  level_id text,         -- list level a completion refers to
+  level_name text,
+  player_id text,
+  video_url text,
+  raw_url text,
+  percent integer,
+  tags jsonb,
+  submitter text,
+  status text,           -- pending | under_review | approved | rejected | needs_changes
+  status_reason text,
+  status_changed_at bigint,
+  status_history jsonb,  -- [{ from, to, reason, actor, ts }]
+  reviewed_by text,
+  revision integer,
+  claimed_by text,       -- mod reviewing it; lock lapses at claim_expires_at
+  claim_expires_at bigint,
+  mod_notes jsonb,       -- [{ id, author, text, ts }], never shown to the submitter
+  created_at bigint,
+  updated_at timestamp with time zone
+);
+
+create table if not exists audit_log (
+  id text primary key,
+  user_id text,
+  actor text,
+  action text not null,
+  target_type text,
+  target_id text,
+  details jsonb,
+  created_at bigint,
+  updated_at timestamp with time zone
+);
+
+-- Role definitions edited from the mod panel. Built-in roles (user, mod,
+-- headadmin) have defaults in scripts.js; a row here overrides them.
+create table if not exists roles (
+  id text primary key,
+  name text not null,
+  permissions jsonb,
+  updated_at timestamp with time zone
+);
+
+-- List-wide settings shared by every client, one row per setting
+-- (e.g. id 'points' -> { curve, max, decay, min, auto }).
+create table if not exists settings (
+  id text primary key,
+  value jsonb,
+  updated_at timestamp with time zone
+);
+
+-- Tag registry managed from the mod panel. Levels and submissions store tag
+-- names; the built-in set in scripts.js applies until the first row is saved.
+create table if not exists tags (
+  id text primary key,
+  name text not null,
+  category text,         -- gameplay | length | pace | other
+  color text,            -- #rrggbb
+  description text,
+  updated_at timestamp with time zone
+);
+
+-- Public list changelog: one row per placement change, with the levels it
+-- displaced ([{ id, name, from, to }]) and its neighbours after the change.
+create table if not exists list_changes (
+  id text primary key,
+  type text not null,    -- placed | moved | removed | legacy | restored
+  level_id text,
+  level_name text,
+  from_placement integer,
+  to_placement integer,
+  above jsonb,           -- { id, name } now directly below it (it sits above this one)
+  below jsonb,           -- { id, name } now directly above it
+  displaced jsonb,
+  actor text,
+  created_at bigint,
+  updated_at timestamp with time zone
+);
+
+/* -------------------- Migration from the original schema -------------------- */
+alter table users add column if not exists permissions jsonb;
+alter table users add column if not exists last_login bigint;
+alter table users add column if not exists banned_until bigint;
+alter table users add column if not exists ban_reason text;
+alter table users add column if not exists banned_by text;
+alter table users add column if not exists banned_at bigint;
+alter table users add column if not exists sanctions jsonb;
+alter table users add column if not exists password_changed_at bigint;
+alter table users add column if not exists sessions_valid_after bigint;
+alter table users add column if not exists reset_code text;
+alter table users add column if not exists reset_code_expires bigint;
+alter table users add column if not exists reset_code_issued_by text;
+
+alter table levels add column if not exists gd_level_id text;
+alter table levels add column if not exists creators jsonb;
+alter table levels add column if not exists thumbnail text;
+alter table levels add column if not exists tags jsonb;
+alter table levels add column if not exists status text;
+alter table levels add column if not exists legacy boolean;
+alter table levels add column if not exists submitter text;
+alter table levels add column if not exists approved_by text;
+alter table levels add column if not exists approved_at bigint;
+
+alter table submissions add column if not exists type text;
+alter table submissions add column if not exists name text;
+alter table submissions add column if not exists creators jsonb;
+alter table submissions add column if not exists gd_level_id text;
+alter table submissions add column if not exists level_name text;
+alter table submissions add column if not exists raw_url text;
+alter table submissions add column if not exists percent integer;
+alter table submissions add column if not exists tags jsonb;
+alter table submissions add column if not exists submitter text;
+alter table submissions add column if not exists status_reason text;
+alter table submissions add column if not exists status_changed_at bigint;
+alter table submissions add column if not exists status_history jsonb;
+alter table submissions add column if not exists reviewed_by text;
+alter table submissions add column if not exists revision integer;
+alter table submissions add column if not exists claimed_by text;
+alter table submissions add column if not exists claim_expires_at bigint;
+alter table submissions add column if not exists mod_notes jsonb;
+
+alter table audit_log add column if not exists actor text;
+alter table audit_log add column if not exists updated_at timestamp with time zone;
+
+/* -------------------- Delta sync --------------------
+   Clients pull rows with updated_at greater than the last value they saw, so
+   updated_at must come from the server clock, not the browser's. */
+create or replace function set_updated_at() returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists users_set_updated_at on users;
+create trigger users_set_updated_at before insert or update on users
+  for each row execute function set_updated_at();
+drop trigger if exists levels_set_updated_at on levels;
+create trigger levels_set_updated_at before insert or update on levels
+  for each row execute function set_updated_at();
+drop trigger if exists submissions_set_updated_at on submissions;
+create trigger submissions_set_updated_at before insert or update on submissions
+  for each row execute function set_updated_at();
+drop trigger if exists audit_log_set_updated_at on audit_log;
+create trigger audit_log_set_updated_at before insert or update on audit_log
+  for each row execute function set_updated_at();
+
+create index if not exists users_updated_at_idx on users (updated_at);
+create index if not exists levels_updated_at_idx on levels (updated_at);
+create index if not exists submissions_updated_at_idx on submissions (updated_at);
+drop trigger if exists roles_set_updated_at on roles;
+create trigger roles_set_updated_at before insert or update on roles
+  for each row execute function set_updated_at();
+
+create index if not exists audit_log_updated_at_idx on audit_log (updated_at);
+drop trigger if exists settings_set_updated_at on settings;
+create trigger settings_set_updated_at before insert or update on settings
+  for each row execute function set_updated_at();
+
+create index if not exists roles_updated_at_idx on roles (updated_at);
+drop trigger if exists list_changes_set_updated_at on list_changes;
+create trigger list_changes_set_updated_at before insert or update on list_changes
+  for each row execute function set_updated_at();
+
+create index if not exists settings_updated_at_idx on settings (updated_at);
+create index if not exists list_changes_updated_at_idx on list_changes (updated_at);
+drop trigger if exists tags_set_updated_at on tags;
+create trigger tags_set_updated_at before insert or update on tags
+  for each row execute function set_updated_at();
+create index if not exists tags_updated_at_idx on tags (updated_at);
+create index if not exists list_changes_level_idx on list_changes (level_id);
+
+-- Backfill rows written before the app fields had columns
+update levels set status = 'published' where status is null and verified is true;
+update levels set creators = jsonb_build_array(creator) where creators is null and creator is not null;
@@ -7,34 +7,138 @@
 
 /* ----------------------- Configuration / Constants ----------------------- */
 const DEFAULT_PFP = 'defaultProfilePicture.png'; // <-- place this PNG in your site's root (optional)
-const KEY_USERS = 'dl_users_v1_explicit';
-const KEY_LEVELS = 'dl_levels_v1_explicit';
-const KEY_SUBS = 'dl_subs_v1_explicit';
-const KEY_SESSION = 'dl_session_v1_explicit';
-const KEY_AUDIT = 'dl_audit_v1';
-
-/* ----------------------- Storage helpers ----------------------- */
-function readJSON(key, fallback){ try{ const raw = localStorage.getItem(key); return raw ? JSON.parse(raw) : JSON.parse(JSON.stringify(fallback)); } catch(e){ console.error('readJSON', key, e); return JSON.parse(JSON.stringify(fallback)); } }
-function writeJSON(key, val){ try { localStorage.setItem(key, JSON.stringify(val)); } catch(e){ console.error('writeJSON', key, e); } }
-
-function getUsers(){ return readJSON(KEY_USERS, []); }
-function saveUsers(v){ writeJSON(KEY_USERS, v); }
-function getLevels(){ return readJSON(KEY_LEVELS, []); }
-function saveLevels(v){ writeJSON(KEY_LEVELS, v); }
-function getSubs(){ return readJSON(KEY_SUBS, []); }
-function saveSubs(v){ writeJSON(KEY_SUBS, v); }
-function getAudit(){ return readJSON(KEY_AUDIT, []); }
-function saveAudit(v){ writeJSON(KEY_AUDIT, v); }
-
-function setSession(obj){ localStorage.setItem(KEY_SESSION, JSON.stringify(obj)); }
-function getSession(){ return JSON.parse(localStorage.getItem(KEY_SESSION) || 'null'); }
-function clearSession(){ localStorage.removeItem(KEY_SESSION); }
-
-function uid(){ return Math.random().toString(36).slice(2,9); }
-function now(){ return Date.now(); }
+
+
+/* ----------------------- Helpers ----------------------- */
+/* Storage (getUsers/saveUsers/…, sessions, uid, now) comes from storage.js,
+   which every page loads first. Nothing here touches localStorage directly. */
 function escapeHTML(s){ if(s===null||s===undefined) return ''; return String(s).replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[m]); }
 function formatDate(ms){ if(!ms) return '-'; try{ return new Date(ms).toLocaleString(); } catch(e){ return String(ms); } }
 
+/* ----------------------- Password hashing (PBKDF2 via WebCrypto) ----------------------- */
+/* Stored format: "pbkdf2_sha256$<iterations>$<salt b64>$<hash b64>".
+   Anything without that prefix is a legacy plaintext password; it still verifies
+   and is re-hashed on the next successful login. */
+const PASSWORD_HASH_SCHEME = 'pbkdf2_sha256';
+const PASSWORD_HASH_ITERATIONS = 210000;
+
+function bytesToBase64(bytes){ let s = ''; bytes.forEach(b => { s += String.fromCharCode(b); }); return btoa(s); }
+function base64ToBytes(b64){ const s = atob(b64); const out = new Uint8Array(s.length); for(let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i); return out; }
+
+async function pbkdf2Bytes(password, salt, iterations){
+  if(!window.crypto || !window.crypto.subtle) throw new Error('WebCrypto is unavailable — the site must be served over HTTPS');
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
+
+function isPasswordHashed(stored){ return typeof stored === 'string' && stored.startsWith(PASSWORD_HASH_SCHEME + '$'); }
+
+async function hashPassword(password){
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2Bytes(password, salt, PASSWORD_HASH_ITERATIONS);
+  return [PASSWORD_HASH_SCHEME, PASSWORD_HASH_ITERATIONS, bytesToBase64(salt), bytesToBase64(hash)].join('$');
+}
+
+async function verifyPassword(password, stored){
+  if(!stored) return false;
+  if(!isPasswordHashed(stored)) return stored === password; // legacy plaintext
+  const [, iterRaw, saltB64, hashB64] = stored.split('$');
+  const expected = base64ToBytes(hashB64 || '');
+  const actual = await pbkdf2Bytes(password, base64ToBytes(saltB64 || ''), parseInt(iterRaw, 10) || PASSWORD_HASH_ITERATIONS);
+  if(actual.length !== expected.length) return false;
+  let diff = 0; for(let i = 0; i < actual.length; i++) diff |= actual[i] ^ expected[i];
+  return diff === 0;
+}
+
+/* returns a user-facing problem with a new password, or null if acceptable */
+const PASSWORD_MIN_LENGTH = 6;
+function passwordProblem(password, username){
+  if(!password || password.length < PASSWORD_MIN_LENGTH) return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  if(username && password.toLowerCase() === String(username).toLowerCase()) return 'Password must not match your username';
+  return null;
+}
+
+/* one-time reset codes issued by a head admin (stored hashed, like passwords) */
+const RESET_CODE_TTL = 24 * 3600 * 1000;
+function generateResetCode(){
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O/1/I
+  const bytes = crypto.getRandomValues(new Uint8Array(10));
+  const chars = Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+  return chars.slice(0,5) + '-' + chars.slice(5);
+}
+function hasActiveResetCode(user){ return !!(user && user.resetCode && user.resetCodeExpires && Date.now() < user.resetCodeExpires); }
+
+/* sessions issued before user.sessionsValidAfter (set on password change) are dead */
+function isSessionCurrent(session, user){
+  if(!session || !user) return false;
+  if(!user.sessionsValidAfter) return true;
+  return (session.issuedAt || 0) >= user.sessionsValidAfter;
+}
+
+/* ----------------------- Permissions ----------------------- */
+/* A user's capabilities are the union of their role's permissions and their own
+   per-user grants (user.permissions). 'all' means every capability. Role definitions
+   are data (roles table); the built-ins below apply until someone edits them. */
+const CAPABILITIES = [
+  { id:'approve_levels', label:'Approve level submissions' },
+  { id:'approve_completions', label:'Approve completions' },
+  { id:'reorder_list', label:'Reorder, retag and remove list levels' },
+  { id:'ban_users', label:'Ban and unban players' },
+  { id:'manage_roles', label:'Assign roles and edit role definitions' },
+  { id:'view_audit', label:'View the audit log' },
+  { id:'reset_passwords', label:'Issue password reset codes' },
+  { id:'manage_points', label:'Change the points curve and recalculate points' },
+  { id:'manage_tags', label:'Create, rename and delete tags' }
+];
+const ALL_PERMISSIONS = 'all';
+const LOCKED_ROLE_ID = 'headadmin'; // always keeps 'all' so nobody can lock the list out of itself
+const BUILTIN_ROLES = [
+  { id:'user', name:'Player', permissions:[] },
+  { id:'mod', name:'Moderator', permissions:['approve_levels','approve_completions','reorder_list','ban_users','view_audit'] },
+  { id:LOCKED_ROLE_ID, name:'Head Admin', permissions:[ALL_PERMISSIONS] }
+];
+
+function getRoleDefinitions(){
+  const stored = new Map((getRoles()||[]).map(r => [r.id, r]));
+  const roles = BUILTIN_ROLES.map(r => Object.assign({}, r, r.id === LOCKED_ROLE_ID ? {} : (stored.get(r.id) || {}), { builtin:true }));
+  stored.forEach(r => { if(!BUILTIN_ROLES.some(b => b.id === r.id)) roles.push(r); });
+  return roles;
+}
+function getRoleDefinition(roleId){
+  const roles = getRoleDefinitions();
+  return roles.find(r => r.id === (roleId || 'user')) || roles[0];
+}
+function expandPermissions(list){
+  const granted = new Set(list || []);
+  return CAPABILITIES.map(c => c.id).filter(id => granted.has(ALL_PERMISSIONS) || granted.has(id));
+}
+function userPermissions(user){
+  if(!user) return [];
+  return expandPermissions([...(getRoleDefinition(user.role).permissions || []), ...(user.permissions || [])]);
+}
+function can(user, capability){ return userPermissions(user).includes(capability); }
+function getCurrentUser(){ const s = getSession(); return s ? (getUsers().find(u => u.username === s.username) || null) : null; }
+function currentUserCan(capability){ return can(getCurrentUser(), capability); }
+function hasModAccess(user){ return userPermissions(user).length > 0; }
+/* Guard for action handlers: the UI hides what you can't do, this catches the rest. */
+function requireCapability(capability){
+  if(currentUserCan(capability)) return true;
+  const c = CAPABILITIES.find(x => x.id === capability);
+  alert(`You don't have permission to do that (${c ? c.label : capability}).`);
+  return false;
+}
+// Nobody can hand out, or act against someone holding, capabilities they don't have themselves
+function canGrant(actor, permissions){ const mine = userPermissions(actor); return expandPermissions(permissions).every(p => mine.includes(p)); }
+function outranks(actor, target){ return !!actor && !!target && actor.username !== target.username && canGrant(actor, userPermissions(target)); }
+/* Shows a mod-panel section only to users holding `allowed`; returns whether it is shown. */
+function showModSection(area, allowed){
+  const section = area.closest('.mod-section') || area;
+  section.classList.toggle('hidden', !allowed);
+  if(!allowed) area.innerHTML = '';
+  return allowed;
+}
+
 /* ----------------------- Image fallback helper (one-time) ----------------------- */
 /* Embedded default fallback (SVG data URL) used if DEFAULT_PFP is missing or broken */
 const DEFAULT_PFP_DATAURL = 'data:image/svg+xml;utf8,' + encodeURIComponent(
@@ -100,38 +204,285 @@ function youtubeID(url){
 }
 function youtubeThumb(url){ const id = youtubeID(url); return id ? `https://i.ytimg.com/vi/${id}/hqdefault.jpg` : ''; }
 function youtubeEmbed(url){ const id = youtubeID(url); return id ? `https://www.youtube.com/embed/${id}` : null; }
+// User-supplied links only ever render as http(s); anything else (javascript:, data:...) gives ''
+function safeHttpUrl(url){
+  try { const u = new URL(String(url || '').trim()); return (u.protocol === 'http:' || u.protocol === 'https:') ? u.href : ''; }
+  catch(e){ return ''; }
+}
 
 /* ----------------------- Tags ----------------------- */
-const ALL_TAGS = [
-  "Cube Carried","Ship Carried","Wave Carried","Ufo Carried","Ball Carried","Spider Carried","Swing Carried",
-  "Medium Length","Long Length","XL Length","XXL Length (3+ Minutes)","Slow Paced","Fast Paced","Memory Level","Visibility Level"
+/* Tags are data (tags table): name, category, colour and description. Levels and
+   submissions store tag names. The built-in set applies until the registry is first saved. */
+const TAG_CATEGORIES = [
+  { id:'gameplay', label:'Gameplay' },
+  { id:'length', label:'Length' },
+  { id:'pace', label:'Pace' },
+  { id:'other', label:'Other' }
+];
+const DEFAULT_TAG_COLOR = '#c8c8c8';
+const BUILTIN_TAGS = [
+  { id:'cube-carried', name:'Cube Carried', category:'gameplay', color:'#30c75b', description:'Difficulty comes mostly from cube sections' },
+  { id:'ship-carried', name:'Ship Carried', category:'gameplay', color:'#ff7fcf', description:'Difficulty comes mostly from ship sections' },
+  { id:'wave-carried', name:'Wave Carried', category:'gameplay', color:'#2fe8f6', description:'Difficulty comes mostly from wave sections' },
+  { id:'ufo-carried', name:'Ufo Carried', category:'gameplay', color:'#ff9f4a', description:'Difficulty comes mostly from UFO sections' },
+  { id:'ball-carried', name:'Ball Carried', category:'gameplay', color:'#ff6b6b', description:'Difficulty comes mostly from ball sections' },
+  { id:'spider-carried', name:'Spider Carried', category:'gameplay', color:'#b57bff', description:'Difficulty comes mostly from spider sections' },
+  { id:'swing-carried', name:'Swing Carried', category:'gameplay', color:'#ffd24d', description:'Difficulty comes mostly from swing sections' },
+  { id:'medium-length', name:'Medium Length', category:'length', color:DEFAULT_TAG_COLOR, description:'' },
+  { id:'long-length', name:'Long Length', category:'length', color:DEFAULT_TAG_COLOR, description:'' },
+  { id:'xl-length', name:'XL Length', category:'length', color:DEFAULT_TAG_COLOR, description:'' },
+  { id:'xxl-length', name:'XXL Length (3+ Minutes)', category:'length', color:DEFAULT_TAG_COLOR, description:'Over three minutes long' },
+  { id:'slow-paced', name:'Slow Paced', category:'pace', color:DEFAULT_TAG_COLOR, description:'' },
+  { id:'fast-paced', name:'Fast Paced', category:'pace', color:DEFAULT_TAG_COLOR, description:'' },
+  { id:'memory-level', name:'Memory Level', category:'other', color:DEFAULT_TAG_COLOR, description:'Needs memorising rather than reading' },
+  { id:'visibility-level', name:'Visibility Level', category:'other', color:DEFAULT_TAG_COLOR, description:'Hard to see what is coming' }
 ];
 
-function tagToBadgeClass(tag){
-  switch(tag){
-    case 'Cube Carried': return 'tag-badge-cube';
-    case 'Ship Carried': return 'tag-badge-ship';
-    case 'Wave Carried': return 'tag-badge-wave';
-    case 'Ufo Carried': return 'tag-badge-ufo';
-    case 'Ball Carried': return 'tag-badge-ball';
-    case 'Spider Carried': return 'tag-badge-spider';
-    case 'Swing Carried': return 'tag-badge-swing';
-    default: return 'tag-badge-default';
-  }
+/* The built-in set stands in only until the registry is first saved; after that an
+   empty table means every tag was deleted. */
+function getTagRegistry(){
+  const stored = getTags() || [];
+  const order = TAG_CATEGORIES.map(c => c.id);
+  return (stored.length || getSetting('tagRegistrySaved', false) ? stored : BUILTIN_TAGS).map(t => Object.assign({}, t)).sort((a,b) => order.indexOf(a.category) - order.indexOf(b.category) || a.name.localeCompare(b.name));
+}
+function tagNames(){ return getTagRegistry().map(t => t.name); }
+function findTag(name){ return getTagRegistry().find(t => t.name === name) || null; }
+function isValidTagColor(c){ return /^#[0-9a-f]{6}$/i.test(c || ''); }
+function tagStyle(tag){
+  const c = tag && isValidTagColor(tag.color) ? tag.color : DEFAULT_TAG_COLOR;
+  return `border-color:${c};color:${c};background:${c}0a`;
 }
+/* Toggle buttons for every registered tag; read the choice back from `.tagbtn.selected`. */
+function fillTagPicker(picker, selected){
+  picker.innerHTML = '';
+  getTagRegistry().forEach(t => {
+    const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'tagbtn' + ((selected || []).includes(t.name) ? ' selected' : '');
+    btn.dataset.tag = t.name; btn.textContent = t.name; btn.title = t.description || t.name; btn.style.borderColor = isValidTagColor(t.color) ? t.color : DEFAULT_TAG_COLOR;
+    btn.onclick = () => btn.classList.toggle('selected');
+    picker.appendChild(btn);
+  });
+}
+// Unregistered names (e.g. from before the registry) still render, in the default style
 function renderTagBadgesHTML(tags){
   if (!tags || tags.length === 0) return '';
-  return tags.map(t => `<span class="tag-badge ${tagToBadgeClass(t)}">${escapeHTML(t)}</span>`).join('');
+  const registry = new Map(getTagRegistry().map(t => [t.name, t]));
+  return tags.map(name => { const t = registry.get(name); return `<span class="tag-badge${t ? `" style="${tagStyle(t)}` : ' tag-badge-default'}" title="${escapeHTML(t ? t.description || t.name : 'Unregistered tag')}">${escapeHTML(name)}</span>`; }).join('');
+}
+
+/* ----------------------- Settings ----------------------- */
+/* List-wide settings live in the settings table as { id, value } rows. */
+function getSetting(id, fallback){
+  const row = (getSettings() || []).find(r => r.id === id);
+  return (row && row.value !== undefined && row.value !== null) ? row.value : fallback;
+}
+function saveSetting(id, value){
+  const settings = getSettings() || []; const row = settings.find(r => r.id === id);
+  if(row) row.value = value; else settings.push({ id, value });
+  return saveSettings(settings);
+}
+
+/* ----------------------- Points ----------------------- */
+/* A player's points are derived data: the sum over their completedRecords of the
+   current value of each level (once per level), under the configured curve.
+   recalculatePoints() is deterministic, so running it twice changes nothing. */
+const DEFAULT_POINTS_CONFIG = { curve:'tiered', max:250, decay:0.965, min:1, auto:true };
+const POINTS_CURVES = {
+  linear: { label:'Linear (101 − placement, min 1)', points: (placement) => Math.max(1, Math.min(100, 101 - placement)) },
+  // 100 at #1 down to 1 at the end of the Extended list, whatever length the tiers give it
+  tiered: { label:'Linear to the end of Extended (100 at #1, 1 at the last Extended placement)', points: (placement, cfg, tiers) => { const n = Math.max(2, tiers.extendedEnd); return Math.max(1, Math.min(100, Math.round(1 + 99 * (n - placement) / (n - 1)))); } },
+  exponential: { label:'Exponential (max × decay^(placement − 1))', points: (placement, cfg) => Math.max(cfg.min, Math.round(cfg.max * Math.pow(cfg.decay, placement - 1))) }
+};
+function getPointsConfig(){ return Object.assign({}, DEFAULT_POINTS_CONFIG, getSetting('points', {})); }
+function pointsForPlacement(placement, config, tiers){
+  const cfg = config || getPointsConfig();
+  if(!placement) return cfg.min;
+  return (POINTS_CURVES[cfg.curve] || POINTS_CURVES.tiered).points(placement, cfg, tiers || getTiersConfig());
+}
+
+/* ----------------------- List tiers ----------------------- */
+/* Placements run continuously across tiers: Main is 1..mainEnd, Extended runs to
+   extendedEnd and Legacy is everything below that, plus levels a mod moved there
+   (level.legacy). Legacy-flagged levels are always kept below the rest of the list. */
+const LIST_TIERS = [
+  { id:'main', label:'Main List' },
+  { id:'extended', label:'Extended List' },
+  { id:'legacy', label:'Legacy List' }
+];
+const DEFAULT_TIERS_CONFIG = { mainEnd:75, extendedEnd:150, extendedRule:'curve', extendedFlat:5 };
+function getTiersConfig(){ return Object.assign({}, DEFAULT_TIERS_CONFIG, getSetting('tiers', {})); }
+function tierLabel(id){ const t = LIST_TIERS.find(x => x.id === id); return t ? t.label : id; }
+function levelTier(level, tiers){
+  const t = tiers || getTiersConfig();
+  if(!level || level.legacy) return 'legacy';
+  const p = level.placement || Infinity;
+  if(p <= t.mainEnd) return 'main';
+  if(p <= t.extendedEnd) return 'extended';
+  return 'legacy';
+}
+/* Per-tier rule: Main follows the points curve, Extended the curve or a flat value, Legacy 0. */
+function pointsForLevel(level, config, tiers){
+  const t = tiers || getTiersConfig();
+  const tier = levelTier(level, t);
+  if(tier === 'legacy') return 0;
+  if(tier === 'extended' && t.extendedRule === 'flat') return t.extendedFlat;
+  return pointsForPlacement(level.placement, config, t);
+}
+/* Sorts legacy-flagged levels below the rest and renumbers placements 1..n. */
+function normalizeLevelOrder(levels){
+  levels.sort((a,b) => (!!a.legacy - !!b.legacy) || (a.placement||999) - (b.placement||999)).forEach((l,i) => { l.placement = i + 1; });
+  return levels;
+}
+function lastActivePlacement(levels){ return levels.filter(l => !l.legacy).reduce((m,l) => Math.max(m, l.placement || 0), 0); }
+
+function moveLevelToLegacy(levelId, toLegacy){
+  if(!requireCapability('reorder_list')) return false;
+  const levels = getLevels(); const level = levels.find(l => l.id === levelId); if(!level) return false;
+  const from = level.placement; const before = placementSnapshot(levels);
+  // lands at the top of Legacy, or at the bottom of the list above it when restored
+  const anchor = lastActivePlacement(levels.filter(l => l.id !== levelId));
+  if(toLegacy) level.legacy = true; else delete level.legacy;
+  level.placement = anchor + 0.5;
+  normalizeLevelOrder(levels); saveLevels(levels);
+  recordListChange(toLegacy ? 'legacy' : 'restored', levelId, before);
+  const points = recalculatePointsAfterListChange(toLegacy ? 'move_to_legacy' : 'restore_from_legacy');
+  addAudit({ id: uid(), action: toLegacy ? 'move_to_legacy' : 'restore_from_legacy', actor: getSession().username, target: levelId, details:{ name: level.name, from, to: level.placement, points }, ts: now() });
+  return true;
+}
+
+// Only full completions score, and only the first one per level; progress records give 0
+function scoreRecords(records, levelPoints){
+  const counted = new Set();
+  return (records || []).map(r => {
+    if(!isFullCompletion(r)) return 0;
+    const value = (levelPoints.has(r.levelId) && !counted.has(r.levelId)) ? levelPoints.get(r.levelId) : 0;
+    counted.add(r.levelId);
+    return value;
+  });
+}
+
+/* Dry run: returns what would change without saving anything. */
+function computePointsRecalculation(config, tiers){
+  const cfg = config || getPointsConfig(); const t = tiers || getTiersConfig();
+  const levelPoints = new Map(getLevels().filter(l => l.status === 'published').map(l => [l.id, pointsForLevel(l, cfg, t)]));
+  const changes = [];
+  getUsers().forEach(u => {
+    const values = scoreRecords(u.completedRecords, levelPoints);
+    const records = (u.completedRecords || []).map((r, i) => ({ levelId: r.levelId, levelName: r.levelName, from: r.awardedPoints || 0, to: values[i] }));
+    const from = u.points || 0; const to = values.reduce((sum, v) => sum + v, 0);
+    if(from !== to || records.some(r => r.from !== r.to)) changes.push({ id: u.id, username: u.username, from, to, records: records.filter(r => r.from !== r.to) });
+  });
+  changes.sort((a,b) => Math.abs(b.to - b.from) - Math.abs(a.to - a.from) || a.username.localeCompare(b.username));
+  return { config: cfg, tiers: t, levelPoints, changes };
+}
+
+function pointsChangeSummary(plan){
+  return { users: plan.changes.length, changes: plan.changes.slice(0, 50).map(c => ({ username: c.username, from: c.from, to: c.to })) };
+}
+/* Recomputes from the current data (not a stale preview) and logs one audit entry,
+   unless `silent`: list operations fold the summary into their own entry instead. */
+function applyPointsRecalculation(config, trigger, tiers, silent){
+  const plan = computePointsRecalculation(config, tiers);
+  if(!plan.changes.length) return plan;
+  const changed = new Set(plan.changes.map(c => c.id));
+  const users = getUsers();
+  users.filter(u => changed.has(u.id)).forEach(u => {
+    const values = scoreRecords(u.completedRecords, plan.levelPoints);
+    (u.completedRecords || []).forEach((r, i) => { r.awardedPoints = values[i]; });
+    u.points = values.reduce((sum, v) => sum + v, 0);
+  });
+  saveUsers(users);
+  if(!silent) addAudit({ id: uid(), action:'recalculate_points', actor: getSession() ? getSession().username : 'system', target: null,
+    details: Object.assign({ trigger, curve: plan.config.curve }, pointsChangeSummary(plan)), ts: now() });
+  return plan;
+}
+
+/* Called after anything that moves, adds or removes list levels, before that operation
+   writes its audit entry. Returns the points summary for that entry, or null. */
+function recalculatePointsAfterListChange(trigger){
+  if(!getPointsConfig().auto) return null;
+  const plan = applyPointsRecalculation(null, trigger, null, true);
+  return plan.changes.length ? pointsChangeSummary(plan) : null;
+}
+
+/* ----------------------- List changelog ----------------------- */
+/* Every placement change is kept as one public event: the level it is about, where it
+   went, its new neighbours and every other level the change shifted. Callers take a
+   placementSnapshot() before saving and hand it to recordListChange() afterwards. */
+const LIST_CHANGE_TYPES = { placed:'Placed', moved:'Moved', removed:'Removed', legacy:'Moved to Legacy', restored:'Restored from Legacy', reordered:'Reordered' };
+function placementSnapshot(levels){
+  return new Map((levels || getLevels()).filter(l => l.status === 'published').map(l => [l.id, { id: l.id, name: l.name, placement: l.placement }]));
+}
+function recordListChange(type, levelId, before){
+  const after = placementSnapshot();
+  const prev = before.get(levelId); const next = after.get(levelId);
+  const displaced = [];
+  before.forEach((b, id) => { const a = after.get(id); if(id !== levelId && a && a.placement !== b.placement) displaced.push({ id, name: a.name, from: b.placement, to: a.placement }); });
+  if((type === 'moved' || type === 'reordered') && !displaced.length && (prev ? prev.placement : null) === (next ? next.placement : null)) return null;
+  const at = p => { const l = [...after.values()].find(x => x.placement === p); return l ? { id: l.id, name: l.name } : null; };
+  const entry = { id: uid(), type, levelId, levelName: (next || prev || {}).name || '', from: prev ? prev.placement : null, to: next ? next.placement : null,
+    above: next ? at(next.placement + 1) : null, below: next ? at(next.placement - 1) : null,
+    displaced: displaced.sort((a,b) => a.to - b.to), actor: getSession() ? getSession().username : 'system', ts: now() };
+  const log = getChangelog(); log.unshift(entry); saveChangelog(log);
+  return entry;
+}
+/* "X placed at #4 above Y, below Z" */
+function describeListChange(e){
+  const around = [e.above && `above ${e.above.name}`, e.below && `below ${e.below.name}`].filter(Boolean).join(', ');
+  const where = `#${e.to}${around ? ' ' + around : ''}`;
+  switch(e.type){
+    case 'placed': return `${e.levelName} placed at ${where}`;
+    case 'moved': return `${e.levelName} moved ${e.to < e.from ? 'up' : 'down'} from #${e.from} to ${where}`;
+    case 'removed': return `${e.levelName} removed from #${e.from}`;
+    case 'legacy': return `${e.levelName} moved to Legacy (#${e.from} → ${where})`;
+    case 'restored': return `${e.levelName} restored from Legacy to ${where}`;
+    case 'reordered': return `List reordered: ${describeDisplaced(e.displaced)}`;
+    default: return `${e.levelName}: ${e.type}`;
+  }
+}
+function describeDisplaced(displaced){
+  if(!displaced || !displaced.length) return '';
+  const up = displaced.filter(d => d.to < d.from).length; const down = displaced.length - up;
+  return [up && `${up} level${up === 1 ? '' : 's'} moved up`, down && `${down} level${down === 1 ? '' : 's'} moved down`].filter(Boolean).join(', ');
+}
+/* Placement-over-time for one level, oldest first: its own events plus every shift other changes caused. */
+function levelPlacementHistory(levelId, log){
+  return (log || getChangelog()).filter(e => e.levelId === levelId || (e.displaced || []).some(d => d.id === levelId))
+    .sort((a,b) => (a.ts||0) - (b.ts||0))
+    .map(e => {
+      if(e.levelId === levelId) return { ts: e.ts, type: e.type, from: e.from, to: e.to, change: e };
+      const d = e.displaced.find(x => x.id === levelId);
+      return { ts: e.ts, type: 'shifted', from: d.from, to: d.to, change: e };
+    });
+}
+function placementTimelineHTML(levelId, log){
+  const history = levelPlacementHistory(levelId, log);
+  if(!history.length) return '<span class="muted">No placement changes recorded</span>';
+  const first = history[0].from !== null ? [`<span class="timeline-step">#${history[0].from}</span>`] : [];
+  const steps = first.concat(history.filter(h => h.to !== null).map(h => `<span class="timeline-step" title="${escapeHTML(formatDate(h.ts) + ' — ' + describeListChange(h.change))}">#${h.to}</span>`));
+  if(history[history.length - 1].type === 'removed') steps.push('<span class="timeline-step">removed</span>');
+  return steps.join(' → ');
 }
 
 /* ----------------------- Leaderboard & Titles ----------------------- */
+// No percent means a full completion; anything under 100% is a progress record
+function isFullCompletion(r){ return r.percent === null || r.percent === undefined || r.percent >= 100; }
 function getLeaderboardSortedUsers(){
   return (getUsers()||[]).slice().sort((a,b) => (b.points||0) - (a.points||0));
 }
+/* rankUsers(sortedUsers) -> [{ user, rank }]
+   - competition ranking: equal points share a rank, the next rank skips (1, 2, 2, 4)
+*/
+function rankUsers(sorted){
+  let lastPts = null, lastRank = 0;
+  return sorted.map((u, i) => {
+    const pts = u.points || 0;
+    if(pts !== lastPts){ lastRank = i + 1; lastPts = pts; }
+    return { user: u, rank: lastRank };
+  });
+}
 function getUserRank(username){
-  const sorted = getLeaderboardSortedUsers();
-  const idx = sorted.findIndex(u => u.username === username);
-  return idx === -1 ? null : idx + 1; // 1-based rank
+  const entry = rankUsers(getLeaderboardSortedUsers()).find(e => e.user.username === username);
+  return entry ? entry.rank : null; // 1-based, tie-aware rank
 }
 
 const TITLES = [
@@ -166,31 +517,6 @@ function canEquipTitle(user, titleId){
 }
 function eligibleTitlesForUser(user){ return TITLES.filter(t => canEquipTitle(user, t.id)); }
 
-/* ----------------------- Seed (only if empty) ----------------------- */
-function seedIfEmpty(){
-  const users = getUsers();
-  if(users && users.length) return;
-  const headAdmin = {
-    id: uid(),
-    username: 'zmmieh.',
-    password: '123456',
-    role: 'headadmin',
-    nationality: 'United Kingdom',
-    points: 0,
-    createdAt: now(),
-    profilePic: '',
-    showCountry: true,
-    bio: '',
-    completedRecords: [],
-    equippedTitle: 'fresh'
-  };
-  saveUsers([headAdmin]);
-  saveLevels([]);
-  saveSubs([]);
-  saveAudit([]);
-}
-seedIfEmpty();
-
 /* ----------------------- Mention autocomplete ----------------------- */
 function initCreatorsMentionAutocomplete(){
   const input = document.getElementById('lev-creators'); if(!input) return;
@@ -234,51 +560,203 @@ function initCreatorsMentionAutocomplete(){
   input.addEventListener('blur', () => setTimeout(()=> { ac.style.display = 'none'; }, 150));
 }
 
+/* ----------------------- Mentions ----------------------- */
+/* `@name` in a creators entry credits that account. Usernames may end in . ? ! or ),
+   so a mention only loses trailing punctuation when the full token isn't a user. */
+const MENTION_RE = /@([A-Za-z0-9()\[\]{}._\-?!]+)/g; // the signup username charset
+function resolveMention(name, users){
+  const list = users || getUsers();
+  const find = n => list.find(u => (u.username || '').toLowerCase() === n.toLowerCase());
+  let user = find(name); let trimmed = name;
+  while(!user && /[.,?!)]$/.test(trimmed)){ trimmed = trimmed.slice(0, -1); user = find(trimmed); }
+  return user ? { user, text: trimmed, rest: name.slice(trimmed.length) } : null;
+}
+function extractMentions(creators){
+  const names = [];
+  (creators || []).forEach(entry => { for(const m of String(entry || '').matchAll(MENTION_RE)) names.push(m[1]); });
+  return names;
+}
+function unknownMentions(creators){
+  const users = getUsers();
+  return [...new Set(extractMentions(creators).filter(n => !resolveMention(n, users)))];
+}
+/* Lower-cased usernames a level credits. */
+function levelCreatorUsernames(level, users){
+  const list = users || getUsers();
+  return [...new Set(extractMentions(level.creators).map(n => resolveMention(n, list)).filter(Boolean).map(r => r.user.username.toLowerCase()))];
+}
+function levelsCreatedBy(username){
+  const name = (username || '').toLowerCase(); const users = getUsers();
+  return getLevels().filter(l => l.status === 'published' && levelCreatorUsernames(l, users).includes(name)).sort((a,b) => (a.placement||999) - (b.placement||999));
+}
+/* username (lower-case) -> published levels crediting them, in list order */
+function creatorLevelIndex(){
+  const users = getUsers(); const index = new Map();
+  getLevels().filter(l => l.status === 'published').sort((a,b) => (a.placement||999) - (b.placement||999)).forEach(l => {
+    levelCreatorUsernames(l, users).forEach(name => { if(!index.has(name)) index.set(name, []); index.get(name).push(l); });
+  });
+  return index;
+}
+
 /* ----------------------- Creators rendering ----------------------- */
-function renderCreatorsHTML(creatorsArray){
+/* Pass `users` when rendering many levels so the users table is read once per render. */
+function renderCreatorsHTML(creatorsArray, users){
   if(!creatorsArray || !creatorsArray.length) return '';
+  const list = users || getUsers();
   return creatorsArray.map(entry => {
-    entry = String(entry || '');
-    return entry.split(/\s+/).map(token => {
-      if(token.startsWith('@')){
-        const uname = token.slice(1);
-        if(!uname) return escapeHTML(token);
-        return `<a class="user-link" href="profile.html?user=${encodeURIComponent(uname)}">${escapeHTML(token)}</a>`;
-      }
-      return escapeHTML(token);
-    }).join(' ');
+    const text = String(entry || ''); let html = ''; let last = 0;
+    for(const m of text.matchAll(MENTION_RE)){
+      html += escapeHTML(text.slice(last, m.index)); last = m.index + m[0].length;
+      const hit = resolveMention(m[1], list);
+      html += hit
+        ? `<a class="user-link" href="profile.html?user=${encodeURIComponent(hit.user.username)}">@${escapeHTML(hit.text)}</a>${escapeHTML(hit.rest)}`
+        : `<span class="mention-unknown" title="No user with this name">${escapeHTML(m[0])}</span>`;
+    }
+    return html + escapeHTML(text.slice(last));
   }).join(', ');
 }
 
-/* ----------------------- Ban helpers ----------------------- */
+/* ----------------------- Sanctions ----------------------- */
+/* Every warning, submission restriction and ban is kept in user.sanctions; nothing is
+   deleted when it expires or is lifted, so the history stays visible to mods. Bans from
+   before this (bannedUntil/banReason/...) are read as one more entry until next written. */
+const SANCTION_TYPES = { warning:'Warning', restriction:'Submission restriction', ban:'Ban' };
+const PERMANENT_SANCTION = 9999999999999;
+const MAX_SANCTION_DAYS = 3650; // 0 days is permanent; longer than this should be permanent too
+const REPEAT_OFFENDER_THRESHOLD = 2;
+function userSanctions(user){
+  if(!user) return [];
+  const list = (user.sanctions || []).slice();
+  if(user.bannedUntil && !list.some(x => x.id === 'legacy-ban')) list.push({ id:'legacy-ban', type:'ban', reason: user.banReason || '', issuedBy: user.bannedBy || '', issuedAt: user.bannedAt || null, until: user.bannedUntil });
+  return list.sort((a,b) => (b.issuedAt||0) - (a.issuedAt||0));
+}
+// Folds the legacy ban fields into user.sanctions before a write
+function migrateLegacyBan(user){
+  user.sanctions = userSanctions(user);
+  delete user.bannedUntil; delete user.banReason; delete user.bannedBy; delete user.bannedAt;
+  return user.sanctions;
+}
+function isSanctionActive(x){ return x.type !== 'warning' && !x.endedAt && (x.until === PERMANENT_SANCTION || Date.now() < x.until); }
+function activeSanction(user, type){ return userSanctions(user).find(x => x.type === type && isSanctionActive(x)) || null; }
+// Sanctions overturned on appeal or reverted as mistakes don't count against the player
+function offenceCount(user){ return userSanctions(user).filter(x => x.endReason !== 'appeal_accepted' && x.endReason !== 'reverted').length; }
+function formatSanctionEnd(x){ return x.type === 'warning' ? '—' : (x.until === PERMANENT_SANCTION ? 'Permanent' : formatDate(x.until)); }
+function sanctionBadgeHTML(user){
+  const ban = activeSanction(user, 'ban'); const restriction = activeSanction(user, 'restriction'); const count = offenceCount(user);
+  return [ban ? '<span class="status-badge status-rejected">Banned</span>' : '', !ban && restriction ? '<span class="status-badge status-needs_changes">Restricted</span>' : '',
+    count >= REPEAT_OFFENDER_THRESHOLD ? `<span class="status-badge repeat-offender" title="${count} sanctions on record">Repeat offender ×${count}</span>` : ''].filter(Boolean).join(' ');
+}
 function isUserBanned(username){
   if(!username) return false;
-  const users = getUsers();
-  const u = users.find(x => x.username === username);
-  if(!u) return false;
-  if(!u.bannedUntil) return false;
-  if(u.bannedUntil === 9999999999999) return true;
-  if(Date.now() < u.bannedUntil) return true;
-  delete u.bannedUntil; delete u.banReason; delete u.bannedBy; delete u.bannedAt;
-  saveUsers(users);
+  return !!activeSanction(getUsers().find(x => x.username === username), 'ban');
+}
+// Restricted players (and banned ones) can't submit levels or completions
+function isUserRestricted(username){
+  const u = getUsers().find(x => x.username === username);
+  return !!(activeSanction(u, 'ban') || activeSanction(u, 'restriction'));
+}
+function requireSubmissionRights(){
+  const me = getCurrentUser(); const r = activeSanction(me, 'restriction') || activeSanction(me, 'ban');
+  if(!r) return true;
+  alert(`Your account can't submit right now (${SANCTION_TYPES[r.type].toLowerCase()} until ${formatSanctionEnd(r)}). Reason: ${r.reason || 'No reason provided'}`);
   return false;
 }
+function showSubmissionRightsNotice(msgId){
+  const me = getCurrentUser(); const r = activeSanction(me, 'restriction') || activeSanction(me, 'ban');
+  const msg = document.getElementById(msgId); if(!r || !msg) return;
+  msg.textContent = `Submissions are disabled for your account until ${formatSanctionEnd(r)}. Reason: ${r.reason || 'No reason provided'}`; msg.style.color = '#ff6b6b';
+}
+// Shown to the player on My Submissions: active sanctions and warnings, with appeal state
+function accountStandingHTML(user){
+  const list = userSanctions(user).filter(x => isSanctionActive(x) || (x.type === 'warning' && !x.endedAt));
+  if(!list.length) return '';
+  return `<div class="card account-standing"><h3 style="margin:0 0 6px">Account standing</h3>${list.map(x => `<div class="sanction-entry"><strong>${escapeHTML(SANCTION_TYPES[x.type])}</strong> <span class="muted">${escapeHTML(formatDate(x.issuedAt))}${x.type === 'warning' ? '' : ` • until ${escapeHTML(formatSanctionEnd(x))}`}</span><div>${escapeHTML(x.reason || '')}</div>${x.appeal ? `<div class="muted">Appeal ${escapeHTML(x.appeal.status)}${x.appeal.decisionReason ? ': ' + escapeHTML(x.appeal.decisionReason) : ''}</div>` : ''}</div>`).join('')}</div>`;
+}
+
+function issueSanction(username, type, days, reason){
+  if(!requireCapability('ban_users')) return false;
+  if(!SANCTION_TYPES[type]){ alert('Pick a sanction type'); return false; }
+  const users = getUsers(); const target = users.find(u => u.username === username);
+  if(!target){ alert('User not found'); return false; }
+  if(type !== 'warning' && !(Number.isInteger(days) && days >= 0 && days <= MAX_SANCTION_DAYS)){ alert(`Enter a whole number of days from 1 to ${MAX_SANCTION_DAYS}, or 0 for permanent`); return false; }
+  if(hasModAccess(target) && !outranks(getCurrentUser(), target)){ alert('You cannot sanction someone with permissions you do not have'); return false; }
+  const actor = getSession().username;
+  const sanction = { id: uid(), type, reason: reason || 'No reason', issuedBy: actor, issuedAt: now(),
+    until: type === 'warning' ? null : (days === 0 ? PERMANENT_SANCTION : now() + days*24*3600*1000) };
+  migrateLegacyBan(target).unshift(sanction);
+  saveUsers(users);
+  addAudit({ id: uid(), action: { warning:'warn', restriction:'restrict', ban:'ban' }[type], actor, target: target.username, details:{ sanction: sanction.id, until: sanction.until, reason: sanction.reason, offences: offenceCount(target) }, ts: now() });
+  return true;
+}
+function liftSanction(userId, sanctionId, reason, endReason){
+  const users = getUsers(); const target = users.find(u => u.id === userId); if(!target) return null;
+  const x = migrateLegacyBan(target).find(y => y.id === sanctionId); if(!x || x.endedAt) return null;
+  Object.assign(x, { endedAt: now(), endedBy: getSession().username, endReason: endReason || 'lifted', endNote: reason || '' });
+  saveUsers(users);
+  return x;
+}
+
+/* Appeals live on the sanction they contest: one per sanction, decided by a mod with a reason. */
+function submitSanctionAppeal(sanctionId, text){
+  const users = getUsers(); const me = users.find(u => u.username === (getSession() || {}).username); if(!me) return false;
+  const x = migrateLegacyBan(me).find(y => y.id === sanctionId);
+  if(!x || !isSanctionActive(x)){ alert('There is nothing to appeal'); return false; }
+  if(x.appeal){ alert('You have already appealed this'); return false; }
+  if(!text.trim()){ alert('Explain why the sanction should be lifted'); return false; }
+  x.appeal = { text: text.trim(), submittedAt: now(), status:'pending' };
+  saveUsers(users);
+  addAudit({ id: uid(), action:'submit_appeal', actor: me.username, target: me.username, details:{ sanction: x.id, type: x.type }, ts: now() });
+  return true;
+}
+function pendingAppeals(){
+  const out = [];
+  getUsers().forEach(u => userSanctions(u).forEach(x => { if(x.appeal && x.appeal.status === 'pending') out.push({ user: u, sanction: x }); }));
+  return out.sort((a,b) => a.sanction.appeal.submittedAt - b.sanction.appeal.submittedAt);
+}
+function decideAppeal(userId, sanctionId, accept){
+  if(!requireCapability('ban_users')) return false;
+  const users = getUsers(); const target = users.find(u => u.id === userId); if(!target) return false;
+  if(hasModAccess(target) && !outranks(getCurrentUser(), target)){ alert('You cannot decide appeals for someone with permissions you do not have'); return false; }
+  const x = migrateLegacyBan(target).find(y => y.id === sanctionId);
+  if(!x || !x.appeal || x.appeal.status !== 'pending'){ alert('This appeal was already decided'); return false; }
+  const reason = prompt(accept ? 'Reason for accepting (shown to the player):' : 'Reason for denying (shown to the player):', '');
+  if(reason === null) return false;
+  if(!reason.trim()){ alert('A reason is required'); return false; }
+  const actor = getSession().username;
+  Object.assign(x.appeal, { status: accept ? 'accepted' : 'denied', decidedBy: actor, decidedAt: now(), decisionReason: reason.trim() });
+  if(accept && !x.endedAt) Object.assign(x, { endedAt: now(), endedBy: actor, endReason:'appeal_accepted', endNote: reason.trim() });
+  saveUsers(users);
+  addAudit({ id: uid(), action: accept ? 'accept_appeal' : 'deny_appeal', actor, target: target.username, details:{ sanction: x.id, type: x.type, reason: reason.trim() }, ts: now() });
+  return true;
+}
+
 function showBanOverlay(user){
   if(!user) return;
   if(document.getElementById('banOverlay')) return;
+  const ban = activeSanction(user, 'ban'); if(!ban) return;
+  const appeal = ban.appeal;
   const overlay = document.createElement('div'); overlay.id = 'banOverlay';
   Object.assign(overlay.style, {position:'fixed', inset:'0', background:'rgba(0,0,0,0.9)', zIndex:999999, display:'flex', alignItems:'center', justifyContent:'center'});
   overlay.innerHTML = `
     <div style="max-width:760px;background:linear-gradient(180deg,#111,#0b0b0b);padding:28px;border-radius:12px;color:#fff;text-align:center;border:1px solid rgba(255,255,255,0.04)">
       <h2 style="margin:0 0 8px">You are banned</h2>
       <p style="color:var(--muted)">Username: <strong>${escapeHTML(user.username)}</strong></p>
-      <p style="color:var(--muted)">Banned until: <strong>${escapeHTML(user.bannedUntil===9999999999999?'Permanent':formatDate(user.bannedUntil))}</strong></p>
-      <p style="color:var(--muted)">Reason: <strong>${escapeHTML(user.banReason||'No reason provided')}</strong></p>
-      <div style="margin-top:16px"><button id="banSignOutBtn" class="btn">Sign out</button></div>
+      <p style="color:var(--muted)">Banned until: <strong>${escapeHTML(formatSanctionEnd(ban))}</strong></p>
+      <p style="color:var(--muted)">Reason: <strong>${escapeHTML(ban.reason||'No reason provided')}</strong></p>
+      <div class="ban-appeal">
+        ${!appeal ? `<textarea id="banAppealText" class="input" rows="3" maxlength="1000" placeholder="Think this ban is a mistake? Explain why it should be lifted."></textarea><button id="banAppealBtn" class="btn" style="margin-top:8px">Submit appeal</button>`
+          : `<p style="color:var(--muted)">Appeal ${appeal.status === 'pending' ? `sent ${escapeHTML(formatDate(appeal.submittedAt))} — waiting for a moderator` : `${escapeHTML(appeal.status)} by ${escapeHTML(appeal.decidedBy || '-')}: <strong>${escapeHTML(appeal.decisionReason || '')}</strong>`}</p>`}
+      </div>
+      <div style="margin-top:16px"><button id="banSignOutBtn" class="btn ghost">Sign out</button></div>
     </div>
   `;
   document.body.appendChild(overlay);
   document.getElementById('banSignOutBtn').onclick = () => { clearSession(); overlay.remove(); window.location.href = 'index.html'; };
+  const send = document.getElementById('banAppealBtn');
+  if(send) send.onclick = () => {
+    if(!submitSanctionAppeal(ban.id, document.getElementById('banAppealText').value)) return;
+    overlay.remove(); showBanOverlay(getUsers().find(u => u.id === user.id));
+  };
 }
 function enforceBanForSession(){
   const s = getSession(); if(!s) return false;
@@ -299,11 +777,14 @@ function renderTopbar(){
   const session = getSession();
   const title = document.createElement('div'); title.className = 'site-title'; title.textContent = 'The All Levels Lists'; top.appendChild(title);
   const nav = document.createElement('nav'); nav.className = 'topnav';
-  [['mainlist.html','Main List'],['submissions.html','Submissions'],['stats.html','Stats Viewer']].forEach(([href,label]) => {
+  [['mainlist.html','Main List'],['changelog.html','Changelog'],['submissions.html','Submissions'],['stats.html','Stats Viewer']].forEach(([href,label]) => {
     const a = document.createElement('a'); a.href = href; a.textContent = label; nav.appendChild(a);
   });
   top.appendChild(nav);
 
+  const sync = document.createElement('button'); sync.id = 'sync-indicator'; sync.className = 'sync-indicator'; sync.onclick = showSyncPanel; top.appendChild(sync);
+  updateSyncIndicator();
+
   const pa = document.createElement('div'); pa.className = 'profile-area'; pa.id = 'profile-area'; top.appendChild(pa);
 
   if(!session){ pa.innerHTML = `<a class="btn ghost small-btn" href="index.html">Login</a>`; return; }
@@ -326,12 +807,102 @@ function renderTopbar(){
 
   const editBtn = document.createElement('a'); editBtn.className = 'btn ghost small-btn'; editBtn.href = 'profile.html'; editBtn.textContent = 'Edit Profile'; wrap.appendChild(editBtn);
   const cp = document.createElement('a'); cp.className = 'btn ghost small-btn'; cp.href = 'change_password.html'; cp.textContent = 'Reset Password'; wrap.appendChild(cp);
-  if(me.role === 'mod' || me.role === 'headadmin'){ const mp = document.createElement('a'); mp.className = 'btn ghost small-btn'; mp.href='modpanel.html'; mp.textContent='Mod Panel'; wrap.appendChild(mp); }
+  if(hasModAccess(me)){ const mp = document.createElement('a'); mp.className = 'btn ghost small-btn'; mp.href='modpanel.html'; mp.textContent='Mod Panel'; wrap.appendChild(mp); }
   const logout = document.createElement('button'); logout.className = 'btn ghost small-btn'; logout.textContent = 'Logout'; logout.onclick = () => { clearSession(); window.location.href = 'index.html'; };
   wrap.appendChild(logout);
   pa.appendChild(wrap);
 }
 
+/* ----------------------- Sync indicator ----------------------- */
+const SYNC_STATE_LABELS = { synced:'Synced', pending:'Saving…', error:'Sync failed', offline:'Offline', local:'Local only' };
+function updateSyncIndicator(){
+  const el = document.getElementById('sync-indicator'); if(!el) return;
+  const st = getSyncStatus();
+  el.className = 'sync-indicator ' + st.state;
+  el.textContent = SYNC_STATE_LABELS[st.state] + (st.pending ? ` (${st.pending})` : '');
+  el.title = st.lastError ? `Last error: ${st.lastError}` : (st.lastSyncAt ? `Last synced ${formatDate(st.lastSyncAt)}` : '');
+  if(document.getElementById('syncOverlay')) renderSyncPanel();
+}
+window.addEventListener('sync:status', () => updateSyncIndicator());
+
+function showSyncPanel(){
+  if(document.getElementById('syncOverlay')) return;
+  const overlay = document.createElement('div'); overlay.id = 'syncOverlay'; overlay.className = 'sync-overlay';
+  overlay.onclick = e => { if(e.target === overlay) overlay.remove(); };
+  document.body.appendChild(overlay);
+  renderSyncPanel();
+}
+function renderSyncPanel(){
+  const overlay = document.getElementById('syncOverlay'); if(!overlay) return;
+  const st = getSyncStatus(); const ops = getOutbox().sort((a,b) => (a.queuedAt||0) - (b.queuedAt||0));
+  overlay.innerHTML = `
+    <div class="sync-panel card">
+      <h3 style="margin-top:0">Sync status: ${escapeHTML(SYNC_STATE_LABELS[st.state])}</h3>
+      <div class="muted" style="font-size:13px">${st.lastSyncAt ? 'Last synced ' + escapeHTML(formatDate(st.lastSyncAt)) : 'Not synced yet this session'}${st.lastError ? ' — ' + escapeHTML(st.lastError) : ''}</div>
+      <div class="sync-ops"></div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px">
+        ${ops.length ? '<button class="btn small-btn" data-act="retry-all">Retry all</button>' : ''}
+        <button class="btn ghost small-btn" data-act="close">Close</button>
+      </div>
+    </div>`;
+  const list = overlay.querySelector('.sync-ops');
+  if(!ops.length) list.innerHTML = `<div class="muted" style="margin-top:10px">No queued changes.</div>`;
+  ops.forEach(op => {
+    const row = document.createElement('div'); row.className = 'sync-op' + (op.failed ? ' failed' : '');
+    const state = op.failed ? 'Failed' : (op.lastError ? `Retrying (attempt ${op.attempts + 1})` : 'Queued');
+    row.innerHTML = `<div><strong>${escapeHTML(op.op === 'delete' ? 'Delete' : 'Save')} ${escapeHTML(op.table)}</strong> <span class="muted">${escapeHTML(op.id)}</span>
+      <div class="muted" style="font-size:12px">${escapeHTML(state)}${op.lastError ? ' — ' + escapeHTML(op.lastError) : ''}</div></div>
+      <div style="display:flex;gap:6px"><button class="btn safe small-btn">Retry</button><button class="btn danger small-btn">Discard</button></div>`;
+    row.querySelector('.safe').onclick = () => retryOutbox(op.key).catch(console.error);
+    row.querySelector('.danger').onclick = () => {
+      if(!confirm('Discard this change? It stays on this device but will not be sent to the server.')) return;
+      discardOutboxEntry(op.key);
+    };
+    list.appendChild(row);
+  });
+  overlay.querySelector('[data-act="close"]').onclick = () => overlay.remove();
+  const all = overlay.querySelector('[data-act="retry-all"]'); if(all) all.onclick = () => retryOutbox().catch(console.error);
+}
+
+/* ----------------------- Live updates ----------------------- */
+/* storage.js fires `data:changed` when another tab or client changed a table.
+   Renderers no-op when their container isn't on the current page. */
+const LIVE_VIEWS = {
+  levels: () => { renderMainList(); renderRankingEditor(); renderLevelPage(); },
+  changelog: () => { renderChangelog(); renderMainList(); renderLevelPage(); },
+  submissions: () => { renderPendingSubmissions(); if(document.getElementById('my-subs-area')) initMySubmissionsPage(); },
+  audit: () => renderAuditLog(),
+  users: () => { renderBannedUsersList(); renderAppealQueue(); renderUserManagementArea(); renderLevelPage(); },
+  settings: () => { renderPointsConfig(); renderMainList(); renderRankingEditor(); },
+  roles: () => { renderRoleEditor(); renderUserManagementArea(); },
+  tags: () => { renderTagRegistryEditor(); renderMainList(); renderRankingEditor(); }
+};
+const _liveRenderTimers = {};
+window.addEventListener('data:changed', e => {
+  const table = e.detail && e.detail.table; if(!LIVE_VIEWS[table]) return;
+  clearTimeout(_liveRenderTimers[table]);
+  _liveRenderTimers[table] = setTimeout(LIVE_VIEWS[table], 50);
+});
+
+/* ----------------------- Session validity ----------------------- */
+/* Ends sessions invalidated by a password change and keeps reset-code sessions
+   on the change-password page. Returns false if the page should stop initialising. */
+function enforceSessionValidity(page){
+  const s = getSession(); if(!s) return true;
+  const me = getUsers().find(u => u.username === s.username);
+  if(me && !isSessionCurrent(s, me)){
+    clearSession();
+    alert('Your password was changed — please log in again.');
+    window.location.href = 'index.html';
+    return false;
+  }
+  if(s.viaResetCode && page !== 'change_password'){
+    window.location.href = 'change_password.html';
+    return false;
+  }
+  return true;
+}
+
 /* ----------------------- Router (with redirect guard) ----------------------- */
 function initPage(page){
   // Prevent infinite redirect loops by guarding redirects to run only once per page load.
@@ -350,6 +921,7 @@ function initPage(page){
     }
   }
 
+  if(getSession() && !enforceSessionValidity(page)) return;
   renderTopbar();
   if(getSession()) if(enforceBanForSession()) return;
 
@@ -363,6 +935,8 @@ function initPage(page){
   switch(page){
     case 'index': initIndexPage(); break;
     case 'mainlist': initMainListPage(); break;
+    case 'changelog': initChangelogPage(); break;
+    case 'level': initLevelPage(); break;
     case 'submissions': initSubmissionsPage(); break;
     case 'submitlevel': initSubmitLevelPage(); break;
     case 'submitcompletion': initSubmitCompletionPage(); break;
@@ -378,7 +952,7 @@ function initPage(page){
 // === Robust signup handler (replace the old signup-form handler with this) ===
 const signupForm = document.getElementById('signup-form') || document.querySelector('form#signup-form');
 if (signupForm) {
-  signupForm.addEventListener('submit', function (e) {
+  signupForm.addEventListener('submit', async function (e) {
     e.preventDefault();
 
     // find inputs (work even if HTML uses slightly different structure)
@@ -405,8 +979,9 @@ if (signupForm) {
       showMsg('Please fill all fields');
       return;
     }
-    if(password.length < 6){
-      showMsg('Password must be at least 6 characters');
+    const pwProblem = passwordProblem(password, username);
+    if(pwProblem){
+      showMsg(pwProblem);
       return;
     }
 
@@ -424,11 +999,16 @@ if (signupForm) {
       return;
     }
 
+    // hash before anything is written — plaintext never reaches storage
+    let passwordHash;
+    try { passwordHash = await hashPassword(password); }
+    catch(err){ console.error('hashPassword', err); showMsg(err.message || 'Could not secure password'); return; }
+
     // create new user object and save
     const newUser = {
       id: (typeof uid === 'function' ? uid() : Math.random().toString(36).slice(2,9)),
       username,
-      password,
+      password: passwordHash,
       nationality,
       role: 'user',
       points: 0,
@@ -442,37 +1022,236 @@ if (signupForm) {
 
     users.push(newUser);
     if(typeof saveUsers === 'function') saveUsers(users);
-    if(typeof setSession === 'function') setSession({ username });
+    if(typeof setSession === 'function') setSession({ username, issuedAt: now() });
 
     // navigate to main list
     window.location.href = 'mainlist.html';
   });
 }
 
+/* ======================== LOGIN (index) ======================== */
+function initIndexPage(){
+  const loginPanel = document.getElementById('login-panel');
+  const signupPanel = document.getElementById('signup-panel');
+  document.getElementById('show-signup')?.addEventListener('click', () => { loginPanel?.classList.add('hidden'); signupPanel?.classList.remove('hidden'); });
+  document.getElementById('show-login')?.addEventListener('click', () => { signupPanel?.classList.add('hidden'); loginPanel?.classList.remove('hidden'); });
+
+  const form = document.getElementById('login-form'); if(!form) return;
+  const msg = document.getElementById('login-msg');
+  function showMsg(text){ if(msg){ msg.classList.remove('hidden'); msg.textContent = text; } else alert(text); }
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    const username = (document.getElementById('li-username') && document.getElementById('li-username').value || '').trim();
+    const password = (document.getElementById('li-password') && document.getElementById('li-password').value) || '';
+    if(!username || !password){ showMsg('Please enter username and password'); return; }
+
+    const submitBtn = form.querySelector('button[type="submit"]'); if(submitBtn) submitBtn.disabled = true;
+    try {
+      const users = getUsers();
+      const user = users.find(u => u.username === username) || users.find(u => (u.username || '').toLowerCase() === username.toLowerCase());
+      // same message for unknown user and wrong password
+      if(!user){ showMsg('Invalid username or password'); return; }
+      if(!(await verifyPassword(password, user.password))){
+        // a head-admin reset code logs in once and forces a password change;
+        // it is used up here, so leaving the change-password page early can't reuse it
+        if(hasActiveResetCode(user) && await verifyPassword(password.trim().toUpperCase(), user.resetCode)){
+          delete user.resetCode; delete user.resetCodeExpires; delete user.resetCodeIssuedBy;
+          saveUsers(users);
+          addAudit({ id: uid(), action:'use_reset_code', actor: user.username, target: user.username, details:{}, ts: now() });
+          setSession({ username: user.username, issuedAt: now(), viaResetCode: true });
+          window.location.href = 'change_password.html';
+          return;
+        }
+        showMsg('Invalid username or password');
+        return;
+      }
+
+      // transparent upgrade of legacy plaintext credentials
+      if(!isPasswordHashed(user.password)){
+        user.password = await hashPassword(password);
+        saveUsers(users);
+        addAudit({ id: uid(), action:'upgrade_password_hash', actor: user.username, target: user.username, details:{}, ts: now() });
+      }
+
+      setSession({ username: user.username, issuedAt: now() });
+      window.location.href = 'mainlist.html';
+    } catch(err){
+      console.error('login', err);
+      showMsg(err.message || 'Login failed');
+    } finally {
+      if(submitBtn) submitBtn.disabled = false;
+    }
+  });
+}
+
+
+/* ======================== CHANGE PASSWORD ======================== */
+function initChangePasswordPage(){
+  renderTopbar();
+  const session = getSession(); if(!session){ alert('Login required'); window.location.href='index.html'; return; }
+  const form = document.getElementById('change-password-form'); if(!form) return;
+  const msg = document.getElementById('cp-msg');
+  const currentEl = document.getElementById('cp-current');
+  function showMsg(text, ok){ if(msg){ msg.textContent = text; msg.style.color = ok ? '#30c75b' : '#ff6b6b'; } else alert(text); }
+
+  // the reset code was used up at login; this session is the proof
+  if(session.viaResetCode && currentEl){
+    currentEl.required = false; currentEl.classList.add('hidden');
+    showMsg('You logged in with a reset code — choose a new password to continue.', true);
+  }
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    const current = (currentEl && currentEl.value) || '';
+    const next = (document.getElementById('cp-new') && document.getElementById('cp-new').value) || '';
+    const next2 = (document.getElementById('cp-new2') && document.getElementById('cp-new2').value) || '';
+    const sess = getSession(); if(!sess){ alert('Login required'); window.location.href='index.html'; return; }
+    if((!current && !sess.viaResetCode) || !next || !next2){ showMsg('Please fill all fields'); return; }
+    if(next !== next2){ showMsg('New passwords do not match'); return; }
+    const problem = passwordProblem(next, sess.username); if(problem){ showMsg(problem); return; }
+
+    const submitBtn = form.querySelector('button[type="submit"]'); if(submitBtn) submitBtn.disabled = true;
+    try {
+      const users = getUsers(); const me = users.find(u => u.username === sess.username);
+      if(!me){ showMsg('Account missing'); return; }
+      const viaResetCode = !!sess.viaResetCode;
+      const verified = viaResetCode || await verifyPassword(current, me.password);
+      if(!verified){ showMsg('Current password is incorrect'); return; }
+      if(!viaResetCode && current === next){ showMsg('New password must differ from the current one'); return; }
+
+      me.password = await hashPassword(next);
+      me.passwordChangedAt = now();
+      me.sessionsValidAfter = me.passwordChangedAt; // kills every other session on their next page load
+      delete me.resetCode; delete me.resetCodeExpires; delete me.resetCodeIssuedBy; // a newer code issued meanwhile
+      saveUsers(users);
+      setSession({ username: me.username, issuedAt: me.sessionsValidAfter });
+      addAudit({ id: uid(), action:'change_password', actor: me.username, target: me.username, details:{ viaResetCode }, ts: now() });
+
+      form.reset();
+      if(currentEl){ currentEl.required = true; currentEl.classList.remove('hidden'); }
+      showMsg('Password changed — other sessions have been signed out.', true);
+      if(viaResetCode) setTimeout(() => window.location.href = 'mainlist.html', 900);
+    } catch(err){
+      console.error('change password', err);
+      showMsg(err.message || 'Could not change password');
+    } finally {
+      if(submitBtn) submitBtn.disabled = false;
+    }
+  });
+}
 
 /* ======================== MAIN LIST ======================== */
-function initMainListPage(){ renderTopbar(); renderMainList(); }
+function initMainListPage(){ renderTopbar(); _listFilters = readListFilters(); renderListToolbar(); renderMainList(); }
+
+/* ----------------------- Main list filters ----------------------- */
+/* Filter state lives in the query string so a filtered view can be shared, e.g.
+   mainlist.html?tags=Wave%20Carried,XL%20Length&match=all&top=50 */
+let _listFilters = null;
+function readListFilters(){
+  const p = new URLSearchParams(location.search);
+  return {
+    q: p.get('q') || '',
+    creator: (p.get('creator') || '').replace(/^@/, '').toLowerCase(),
+    tags: (p.get('tags') || '').split(',').map(t => t.trim()).filter(t => tagNames().includes(t)),
+    match: p.get('match') === 'all' ? 'all' : 'any',
+    top: parseInt(p.get('top'), 10) || null,
+    unbeaten: p.get('unbeaten') === '1'
+  };
+}
+function writeListFilters(f){
+  const p = new URLSearchParams();
+  if(f.q) p.set('q', f.q);
+  if(f.creator) p.set('creator', f.creator);
+  if(f.tags.length){ p.set('tags', f.tags.join(',')); if(f.match === 'all') p.set('match', 'all'); }
+  if(f.top) p.set('top', f.top);
+  if(f.unbeaten) p.set('unbeaten', '1');
+  const qs = p.toString();
+  history.replaceState(null, '', location.pathname + (qs ? '?' + qs : ''));
+}
+function hasListFilters(f){ return !!(f && (f.q || f.creator || f.tags.length || f.top || f.unbeaten)); }
+function levelMatchesFilters(l, f, beaten, users){
+  const q = f.q.toLowerCase();
+  if(q && !(l.name || '').toLowerCase().includes(q) && !String(l.levelId || '').toLowerCase().includes(q)) return false;
+  if(f.creator && !levelCreatorUsernames(l, users).includes(f.creator)) return false;
+  if(f.tags.length){
+    const tags = l.tags || [];
+    if(f.match === 'all' ? !f.tags.every(t => tags.includes(t)) : !f.tags.some(t => tags.includes(t))) return false;
+  }
+  if(f.top && (l.legacy || (l.placement || Infinity) > f.top)) return false;
+  if(f.unbeaten && beaten.has(l.id)) return false;
+  return true;
+}
+
+function renderListToolbar(){
+  const bar = document.getElementById('list-toolbar'); if(!bar || !_listFilters) return;
+  const f = _listFilters; const me = getCurrentUser();
+  const creators = [...creatorLevelIndex().keys()].sort();
+  bar.innerHTML = `
+    <input id="list-search" class="input" type="search" placeholder="Search name or ID" value="${escapeHTML(f.q)}">
+    <select id="list-creator" class="input">
+      <option value="">All creators</option>
+      ${creators.map(c => `<option value="${escapeHTML(c)}" ${c === f.creator ? 'selected' : ''}>@${escapeHTML(c)}</option>`).join('')}
+    </select>
+    <input id="list-top" class="input" type="number" min="1" placeholder="Top N" value="${f.top || ''}" style="min-width:0;width:100px">
+    ${me ? `<label class="muted"><input id="list-unbeaten" type="checkbox" ${f.unbeaten ? 'checked' : ''}> Not beaten by me</label>` : ''}
+    <div class="list-tag-filter">
+      ${getTagRegistry().map(t => `<button type="button" class="tag-badge${f.tags.includes(t.name) ? ' active' : ''}" style="${tagStyle(t)}" title="${escapeHTML(t.description || t.name)}" data-tag="${escapeHTML(t.name)}">${escapeHTML(t.name)}</button>`).join('')}
+      <select id="list-match" class="input" style="min-width:0">
+        <option value="any" ${f.match === 'any' ? 'selected' : ''}>Any selected tag</option>
+        <option value="all" ${f.match === 'all' ? 'selected' : ''}>All selected tags</option>
+      </select>
+    </div>
+    <div id="list-filter-summary" class="muted"></div>`;
+  const update = changes => { Object.assign(_listFilters, changes); writeListFilters(_listFilters); renderMainList(); };
+  bar.querySelector('#list-search').oninput = function(){ update({ q: this.value.trim() }); };
+  bar.querySelector('#list-creator').onchange = function(){ update({ creator: this.value }); };
+  bar.querySelector('#list-top').oninput = function(){ update({ top: parseInt(this.value, 10) || null }); };
+  bar.querySelector('#list-match').onchange = function(){ update({ match: this.value }); };
+  const unbeaten = bar.querySelector('#list-unbeaten'); if(unbeaten) unbeaten.onchange = function(){ update({ unbeaten: this.checked }); };
+  bar.querySelectorAll('[data-tag]').forEach(b => { b.onclick = () => {
+    const tag = b.dataset.tag; const tags = f.tags.includes(tag) ? f.tags.filter(t => t !== tag) : f.tags.concat(tag);
+    b.classList.toggle('active'); update({ tags });
+  }; });
+}
 
 function renderMainList(){
   renderTopbar();
   const area = document.getElementById('list-area'); if(!area) return;
   area.innerHTML = '';
-  const levels = (getLevels()||[]).filter(l => l.status === 'published').slice().sort((a,b) => (a.placement||999) - (b.placement||999));
+  const published = (getLevels()||[]).filter(l => l.status === 'published').slice().sort((a,b) => (a.placement||999) - (b.placement||999));
+  const me = getCurrentUser();
+  const beaten = new Set(((me && me.completedRecords) || []).filter(isFullCompletion).map(r => r.levelId));
+  const filters = hasListFilters(_listFilters) ? Object.assign({}, _listFilters, { unbeaten: _listFilters.unbeaten && !!me }) : null;
+  const users = getUsers();
+  const levels = filters ? published.filter(l => levelMatchesFilters(l, filters, beaten, users)) : published;
+  const summary = document.getElementById('list-filter-summary');
+  if(summary){
+    summary.innerHTML = filters ? `Showing ${levels.length} of ${published.length} levels • <a href="#" id="list-clear">Clear filters</a>` : '';
+    const clear = document.getElementById('list-clear');
+    if(clear) clear.onclick = e => { e.preventDefault(); _listFilters = { q:'', creator:'', tags:[], match:'any', top:null, unbeaten:false }; writeListFilters(_listFilters); renderListToolbar(); renderMainList(); };
+  }
   if(!levels.length){
-    area.innerHTML = '<div class="card">No published levels.</div>';
+    area.innerHTML = `<div class="card">${filters ? 'No levels match these filters.' : 'No published levels.'}</div>`;
     // spacer so even empty list leaves bottom space
     const spacerEmpty = document.createElement('div'); spacerEmpty.style.height = '120px'; area.appendChild(spacerEmpty);
     return;
   }
+  const tiers = getTiersConfig(); let currentTier = null;
+  const changelog = getChangelog();
   levels.forEach(l => {
+    const tier = levelTier(l, tiers);
+    if(tier !== currentTier){ currentTier = tier; area.appendChild(buildTierHeader(tier, tiers)); }
     const thumb = (l.thumbnail && l.thumbnail.trim()) ? l.thumbnail : (l.youtube ? youtubeThumb(l.youtube) : '');
-    const creatorsHTML = renderCreatorsHTML(l.creators || []);
+    const creatorsHTML = renderCreatorsHTML(l.creators || [], users);
     const row = document.createElement('div'); row.className = 'level-row';
     const header = document.createElement('div'); header.className = 'level-header';
     const placement = document.createElement('div'); placement.className = 'placement'; placement.textContent = l.placement || '—';
     const thumbDiv = document.createElement('div'); thumbDiv.className = 'thumb'; if(thumb){ const img = document.createElement('img'); img.src = thumb; img.alt = 'thumb'; thumbDiv.appendChild(img); }
     const meta = document.createElement('div'); meta.className = 'level-meta';
-    const nameEl = document.createElement('div'); nameEl.className = 'level-name'; nameEl.textContent = l.name || '';
+    const nameEl = document.createElement('div'); nameEl.className = 'level-name';
+    const nameLink = document.createElement('a'); nameLink.className = 'user-link'; nameLink.href = `level.html?id=${encodeURIComponent(l.id)}`; nameLink.textContent = l.name || '';
+    nameLink.onclick = e => e.stopPropagation(); nameEl.appendChild(nameLink);
     const subEl = document.createElement('div'); subEl.className = 'level-sub'; subEl.innerHTML = `ID: ${escapeHTML(l.levelId || '')}, Creator: ${creatorsHTML} • Placed Date: ${l.approvedAt ? formatDate(l.approvedAt) : '-'}`;
 
     meta.appendChild(nameEl); meta.appendChild(subEl);
@@ -490,6 +1269,8 @@ function renderMainList(){
         <div class="expanded-video">${ l.youtube ? `<iframe src="${youtubeEmbed(l.youtube)}" allowfullscreen></iframe>` : '<div class="muted">No video</div>' }</div>
       </div>
       <div class="muted" style="margin-top:10px;padding:0 15px">Submitted by ${escapeHTML(l.submitter||'-')} — Approved by ${escapeHTML(l.approvedBy||'-')}</div>
+      <div class="placement-timeline" style="margin-top:6px;padding:0 15px">Placement history: ${placementTimelineHTML(l.id, changelog)} <a href="changelog.html?level=${encodeURIComponent(l.id)}">details</a></div>
+      <div style="margin-top:6px;padding:0 15px"><a class="btn ghost small-btn" href="level.html?id=${encodeURIComponent(l.id)}">Victors &amp; records</a></div>
     `;
 
     header.onclick = () => {
@@ -515,27 +1296,218 @@ function renderMainList(){
   area.appendChild(spacer);
 }
 
+function buildTierHeader(tier, tiers){
+  const note = { main: `#1–${tiers.mainEnd}`, extended: `#${tiers.mainEnd + 1}–${tiers.extendedEnd}${tiers.extendedRule === 'flat' ? ` • ${tiers.extendedFlat} pts each` : ''}`, legacy: 'No longer awards points' }[tier];
+  const h = document.createElement('div'); h.className = 'tier-header tier-' + tier;
+  h.innerHTML = `<h2>${escapeHTML(tierLabel(tier))}</h2><span class="muted">${escapeHTML(note)}</span>`;
+  return h;
+}
+
+/* ======================== LEVEL DETAIL ======================== */
+function initLevelPage(){ renderTopbar(); renderLevelPage(); }
+
+/* Victors are each player's first 100% record (no percent means a full completion);
+   progress records are each remaining player's best percent. */
+function levelRecords(levelId){
+  const victors = []; const progress = [];
+  getUsers().forEach(u => {
+    const mine = (u.completedRecords || []).filter(r => r.levelId === levelId);
+    const full = mine.filter(isFullCompletion).sort((a,b) => (a.ts||0) - (b.ts||0));
+    if(full.length){ victors.push({ username: u.username, record: full[0] }); return; }
+    const best = mine.slice().sort((a,b) => (b.percent||0) - (a.percent||0) || (a.ts||0) - (b.ts||0))[0];
+    if(best) progress.push({ username: u.username, record: best });
+  });
+  victors.sort((a,b) => (a.record.ts||0) - (b.record.ts||0));
+  progress.sort((a,b) => (b.record.percent||0) - (a.record.percent||0) || (a.record.ts||0) - (b.record.ts||0));
+  return { victors, progress };
+}
+
+function renderLevelPage(){
+  const area = document.getElementById('level-area'); if(!area) return;
+  const id = new URLSearchParams(location.search).get('id');
+  const level = getLevels().find(l => l.id === id);
+  if(!level){ area.innerHTML = '<div class="card muted">Level not found. <a href="mainlist.html">Back to the list</a></div>'; return; }
+  document.title = `Demonlist — ${level.name}`;
+  const { victors, progress } = levelRecords(level.id);
+  const onList = level.status === 'published';
+  const recordRow = ({ username, record }, extra) => `<div class="stats-table-row${extra || ''}">
+      <div><a class="user-link" href="profile.html?user=${encodeURIComponent(username)}">${escapeHTML(username)}</a>${extra ? ' <span class="status-badge status-approved">First victor</span>' : ''}</div>
+      <div>${record.percent !== null && record.percent !== undefined ? escapeHTML(record.percent + '%') : '100%'}</div>
+      <div class="muted">${formatDate(record.ts)}</div>
+      <div>${safeHttpUrl(record.youtube) ? `<a class="user-link" href="${escapeHTML(safeHttpUrl(record.youtube))}" target="_blank" rel="noopener">Video</a>` : '<span class="muted">—</span>'}</div>
+    </div>`;
+  const embed = youtubeEmbed(level.youtube);
+  area.innerHTML = `
+    <div class="card level-detail">
+      <div class="level-detail-head">
+        <div class="placement">${onList ? level.placement : '—'}</div>
+        <div>
+          <h1 class="page-title" style="margin:0">${escapeHTML(level.name)}</h1>
+          <div class="muted">${onList ? `${escapeHTML(tierLabel(levelTier(level)))} • worth ${pointsForLevel(level)} pts` : 'Not on the list'} • ID: ${escapeHTML(level.levelId || '-')}</div>
+          <div style="margin-top:6px">Creators: ${renderCreatorsHTML(level.creators || []) || '<span class="muted">—</span>'}</div>
+          ${renderTagBadgesHTML(level.tags || []) ? `<div class="tag-badges" style="margin-top:8px">${renderTagBadgesHTML(level.tags || [])}</div>` : ''}
+          <div class="muted" style="margin-top:6px;font-size:13px">Submitted by ${escapeHTML(level.submitter || '-')} — Approved by ${escapeHTML(level.approvedBy || '-')}${level.approvedAt ? ' on ' + escapeHTML(formatDate(level.approvedAt)) : ''}</div>
+        </div>
+      </div>
+      <div class="expanded-video level-video">${embed ? `<iframe src="${escapeHTML(embed)}" allowfullscreen></iframe>` : '<div class="muted">No verification video</div>'}</div>
+    </div>
+    <div class="card">
+      <h2 style="margin-top:0">Placement history</h2>
+      <div class="placement-timeline">${placementTimelineHTML(level.id)} <a href="changelog.html?level=${encodeURIComponent(level.id)}">details</a></div>
+    </div>
+    <div class="card">
+      <h2 style="margin-top:0">Victors (${victors.length})</h2>
+      ${victors.length ? `<div class="stats-table-header muted"><div>Player</div><div>Progress</div><div>Date</div><div>Video</div></div>${victors.map((v, i) => recordRow(v, i === 0 ? ' first-victor' : '')).join('')}` : '<div class="muted">Nobody has beaten this level yet.</div>'}
+    </div>
+    <div class="card">
+      <h2 style="margin-top:0">Progress records (${progress.length})</h2>
+      ${progress.length ? `<div class="stats-table-header muted"><div>Player</div><div>Progress</div><div>Date</div><div>Video</div></div>${progress.map(p => recordRow(p)).join('')}` : '<div class="muted">No progress records.</div>'}
+    </div>`;
+}
+
+/* ======================== CHANGELOG ======================== */
+const CHANGELOG_PAGE_SIZE = 50;
+let _changelogShown = CHANGELOG_PAGE_SIZE;
+function initChangelogPage(){ renderTopbar(); renderChangelog(); }
+
+function renderChangelog(){
+  const area = document.getElementById('changelog-area'); if(!area) return;
+  area.innerHTML = '';
+  const levelId = new URLSearchParams(location.search).get('level');
+  const log = getChangelog().slice().sort((a,b) => (b.ts||0) - (a.ts||0));
+  if(levelId){
+    const level = getLevels().find(l => l.id === levelId);
+    const history = levelPlacementHistory(levelId, log);
+    const name = level ? level.name : ((history[0] && history[0].change.levelName) || 'Unknown level');
+    const head = document.createElement('div'); head.className = 'card';
+    head.innerHTML = `<h2 style="margin:0 0 6px">${escapeHTML(name)}</h2><div class="muted">${level && level.status === 'published' ? `Currently #${level.placement} • ${escapeHTML(tierLabel(levelTier(level)))}` : 'Not on the list'} • <a href="changelog.html">Full changelog</a></div><div style="margin-top:8px">${placementTimelineHTML(levelId, log)}</div>`;
+    area.appendChild(head);
+    if(!history.length) return;
+    history.slice().reverse().forEach(h => {
+      const text = h.type === 'shifted' ? `${h.to < h.from ? 'Moved up' : 'Moved down'} from #${h.from} to #${h.to} — ${describeListChange(h.change)}` : describeListChange(h.change);
+      area.appendChild(buildChangelogItem(h.change, text, false));
+    });
+    return;
+  }
+  if(!log.length){ area.innerHTML = '<div class="card muted">No placement changes recorded yet.</div>'; return; }
+  log.slice(0, _changelogShown).forEach(e => area.appendChild(buildChangelogItem(e, describeListChange(e), true)));
+  if(log.length > _changelogShown){
+    const more = document.createElement('button'); more.className = 'btn ghost small-btn'; more.textContent = `Show more (${log.length - _changelogShown} older)`;
+    more.onclick = () => { _changelogShown += CHANGELOG_PAGE_SIZE; renderChangelog(); };
+    area.appendChild(more);
+  }
+}
+
+function buildChangelogItem(e, text, withDisplaced){
+  const item = document.createElement('div'); item.className = 'card changelog-item changelog-' + e.type;
+  const link = e.levelId && e.type !== 'removed' ? ` <a href="level.html?id=${encodeURIComponent(e.levelId)}">level page</a>` : '';
+  const shifted = withDisplaced && e.displaced && e.displaced.length
+    ? `<details class="changelog-displaced"><summary>${escapeHTML(describeDisplaced(e.displaced))}</summary>${e.displaced.map(d => `<div>${escapeHTML(d.name)}: #${d.from} → #${d.to}</div>`).join('')}</details>` : '';
+  item.innerHTML = `<div style="display:flex;justify-content:space-between;gap:8px"><div><span class="status-badge">${escapeHTML(LIST_CHANGE_TYPES[e.type] || e.type)}</span> ${escapeHTML(text)}${link}</div><div class="muted">${formatDate(e.ts)}</div></div>${shifted}`;
+  return item;
+}
+
+/* ----------------------- Submission lifecycle ----------------------- */
+/* Every status change is kept in sub.statusHistory as { from, to, reason, actor, ts };
+   status/statusReason/statusChangedAt mirror the latest entry. Mods move submissions
+   out of pending/under_review; submitters move rejected/needs_changes back to pending
+   by editing and resubmitting the same record. */
+const SUBMISSION_STATUSES = { pending:'Pending', under_review:'Under review', approved:'Approved', rejected:'Rejected', needs_changes:'Needs changes' };
+const SUBMISSION_TRANSITIONS = {
+  pending: ['under_review','approved','rejected','needs_changes'],
+  under_review: ['pending','approved','rejected','needs_changes'],
+  needs_changes: ['pending'],
+  rejected: ['pending'],
+  approved: []
+};
+// Only a revert from the audit log may take a decision back; see REVERSIBLE_ACTIONS
+const SUBMISSION_REVERT_TRANSITIONS = { approved: ['pending'] };
+const SUBMISSION_TRANSITION_ACTIONS = { pending:'reopen_submission', under_review:'review_submission', rejected:'reject_submission', needs_changes:'request_changes' };
+const OPEN_SUBMISSION_STATUSES = ['pending','under_review'];
+const RESUBMITTABLE_STATUSES = ['rejected','needs_changes'];
+
+function submissionStatus(sub){ return (sub && sub.status) || 'pending'; }
+function applySubmissionTransition(sub, to, reason, actor, revert){
+  const from = submissionStatus(sub);
+  if(!((revert ? SUBMISSION_REVERT_TRANSITIONS : SUBMISSION_TRANSITIONS)[from] || []).includes(to)) return false;
+  const ts = now();
+  sub.statusHistory = (sub.statusHistory || []).concat([{ from, to, reason, actor, ts }]);
+  sub.status = to; sub.statusReason = reason; sub.statusChangedAt = ts;
+  if(to !== 'pending') sub.reviewedBy = actor; else if(revert) delete sub.reviewedBy;
+  if(to !== 'under_review'){ delete sub.claimedBy; delete sub.claimExpiresAt; }
+  return true;
+}
+function newSubmissionLifecycle(actor){
+  const ts = now();
+  return { status:'pending', statusReason:'Submitted', statusChangedAt: ts, statusHistory:[{ from:null, to:'pending', reason:'Submitted', actor, ts }], revision: 1 };
+}
+function submissionStatusBadgeHTML(status){
+  return `<span class="status-badge status-${escapeHTML(status)}">${escapeHTML(SUBMISSION_STATUSES[status] || status)}</span>`;
+}
+/* ?edit=<id> on the submit pages: the caller's own rejected / needs-changes submission of `type`. */
+function getSubmissionBeingEdited(type){
+  const id = new URLSearchParams(window.location.search).get('edit'); if(!id) return null;
+  const s = getSubs().find(x => x.id === id); const sess = getSession();
+  if(!s || s.type !== type || !sess || s.submitter !== sess.username || !RESUBMITTABLE_STATUSES.includes(submissionStatus(s))) return null;
+  return s;
+}
+/* Updates the original submission in place and sends it back to the queue. */
+function resubmitSubmission(id, fields){
+  const subs = getSubs(); const s = subs.find(x => x.id === id); const actor = getSession().username;
+  // checked before touching anything: it may have been reviewed in another tab meanwhile
+  if(!s || !RESUBMITTABLE_STATUSES.includes(submissionStatus(s))) return false;
+  Object.assign(s, fields);
+  s.revision = (s.revision || 1) + 1;
+  applySubmissionTransition(s, 'pending', `Resubmitted (revision ${s.revision})`, actor);
+  saveSubs(subs);
+  addAudit({ id: uid(), action:'resubmit_' + s.type, actor, target: s.id, details:{ name: s.name || s.levelName, revision: s.revision }, ts: now() });
+  return true;
+}
+
 /* ======================== SUBMISSIONS ======================== */
 function initSubmissionsPage(){ renderTopbar(); }
 function initSubmitLevelPage(){
   renderTopbar();
   const session = getSession(); if(!session){ alert('Login required'); window.location.href='index.html'; return; }
   const picker = document.getElementById('tag-picker');
-  if(picker){ picker.innerHTML=''; ALL_TAGS.forEach(t => { const btn = document.createElement('button'); btn.type='button'; btn.className='tagbtn'; btn.dataset.tag = t; btn.textContent = t; btn.onclick = () => btn.classList.toggle('selected'); picker.appendChild(btn); }); }
+  if(picker) fillTagPicker(picker, []);
   initCreatorsMentionAutocomplete();
+  const creatorsInput = document.getElementById('lev-creators');
+  if(creatorsInput){
+    const check = document.createElement('div'); check.id = 'lev-creators-check'; check.className = 'mention-check'; creatorsInput.insertAdjacentElement('afterend', check);
+    const flag = () => { const unknown = unknownMentions(creatorsInput.value.split(',')); check.textContent = unknown.length ? `Unknown user${unknown.length === 1 ? '' : 's'}: ${unknown.map(n => '@' + n).join(', ')} — pick from the suggestions or remove the @` : ''; };
+    creatorsInput.addEventListener('input', flag); creatorsInput.addEventListener('blur', () => setTimeout(flag, 200));
+  }
+  const editing = getSubmissionBeingEdited('level');
+  if(editing){
+    [['lev-name', editing.name], ['lev-creators', (editing.creators||[]).join(', ')], ['lev-id', editing.levelId], ['lev-youtube', editing.youtube], ['lev-raw', editing.raw]].forEach(([elId, v]) => { const el = document.getElementById(elId); if(el) el.value = v || ''; });
+    document.querySelectorAll('#tag-picker .tagbtn').forEach(b => b.classList.toggle('selected', (editing.tags||[]).includes(b.dataset.tag)));
+    const msg = document.getElementById('lev-msg'); if(msg) msg.textContent = `Editing your ${SUBMISSION_STATUSES[editing.status].toLowerCase()} submission — ${editing.statusReason || ''}`;
+  }
+  showSubmissionRightsNotice('lev-msg');
   document.getElementById('submit-level-form')?.addEventListener('submit', e => {
     e.preventDefault();
+    if(!requireSubmissionRights()) return;
     const name = (document.getElementById('lev-name') && document.getElementById('lev-name').value || '').trim();
     const creatorsRaw = (document.getElementById('lev-creators') && document.getElementById('lev-creators').value || '').trim();
     const levelId = (document.getElementById('lev-id') && document.getElementById('lev-id').value || '').trim();
     const youtube = (document.getElementById('lev-youtube') && document.getElementById('lev-youtube').value || '').trim();
     const raw = (document.getElementById('lev-raw') && document.getElementById('lev-raw').value || '').trim();
-    const picked = Array.from(document.querySelectorAll('#tag-picker .tagbtn.selected')).map(b => b.dataset.tag);
+    const picked = Array.from(document.querySelectorAll('#tag-picker .tagbtn.selected')).map(b => b.dataset.tag).filter(t => tagNames().includes(t));
     const msg = document.getElementById('lev-msg');
     if(!name || !creatorsRaw || !levelId || !youtube || !raw){ if(msg){ msg.textContent = 'Please fill required fields'; msg.style.color = '#ff6b6b'; } return; }
     if(!picked.length){ if(msg){ msg.textContent = 'Please select at least one tag'; msg.style.color = '#ff6b6b'; } return; }
+    if(!safeHttpUrl(youtube) || !safeHttpUrl(raw)){ if(msg){ msg.textContent = 'Video and raw footage must be http(s) links'; msg.style.color = '#ff6b6b'; } return; }
     const creatorsArray = creatorsRaw.split(',').map(s => s.trim()).filter(Boolean);
-    const subs = getSubs(); subs.push({ id: uid(), type:'level', name, creators: creatorsArray, levelId, youtube, raw, tags: picked, submitter: getSession().username, status: 'pending', createdAt: now() });
+    const unknown = unknownMentions(creatorsArray);
+    if(unknown.length){ if(msg){ msg.textContent = `No user called ${unknown.map(n => '@' + n).join(', ')} — fix or remove the mention`; msg.style.color = '#ff6b6b'; } return; }
+    if(editing){
+      if(!resubmitSubmission(editing.id, { name, creators: creatorsArray, levelId, youtube, raw, tags: picked })){ if(msg){ msg.textContent = 'This submission can no longer be resubmitted — it may have been reviewed meanwhile'; msg.style.color = '#ff6b6b'; } return; }
+      if(msg){ msg.textContent = 'Resubmitted — pending review'; msg.style.color = '#30c75b'; }
+      setTimeout(()=> window.location.href = 'mysubmissions.html', 700);
+      return;
+    }
+    const subs = getSubs(); subs.push(Object.assign({ id: uid(), type:'level', name, creators: creatorsArray, levelId, youtube, raw, tags: picked, submitter: getSession().username, createdAt: now() }, newSubmissionLifecycle(getSession().username)));
     saveSubs(subs);
     addAudit({ id: uid(), action:'submit_level', actor: getSession().username, target: null, details:{ name }, ts: now() });
     if(msg){ msg.textContent = 'Submitted — pending review'; msg.style.color = '#30c75b'; }
@@ -548,9 +1520,23 @@ function initSubmitCompletionPage(){
   renderTopbar();
   const session = getSession(); if(!session){ alert('Login required'); window.location.href='index.html'; return; }
   const sel = document.getElementById('comp-level');
-  if(sel){ sel.innerHTML = ''; getLevels().filter(l => l.status === 'published').sort((a,b) => (a.placement||999) - (b.placement||999)).forEach(l => { const opt = document.createElement('option'); opt.value = l.id; opt.textContent = `#${l.placement} — ${l.name}`; sel.appendChild(opt); }); }
+  if(sel){
+    sel.innerHTML = ''; const groups = {};
+    getLevels().filter(l => l.status === 'published').sort((a,b) => (a.placement||999) - (b.placement||999)).forEach(l => {
+      const tier = levelTier(l); const pts = pointsForLevel(l);
+      if(!groups[tier]){ groups[tier] = document.createElement('optgroup'); groups[tier].label = tierLabel(tier) + (tier === 'legacy' ? ' — no points' : ''); sel.appendChild(groups[tier]); }
+      const opt = document.createElement('option'); opt.value = l.id; opt.textContent = `#${l.placement} — ${l.name}${pts ? ` (${pts} pts)` : ' (no points)'}`; groups[tier].appendChild(opt);
+    });
+  }
+  const editing = getSubmissionBeingEdited('completion');
+  if(editing){
+    [['comp-level', editing.levelRef], ['comp-youtube', editing.youtube], ['comp-raw', editing.raw], ['comp-percent', editing.percent]].forEach(([elId, v]) => { const el = document.getElementById(elId); if(el && v !== undefined && v !== null) el.value = v; });
+    const msg = document.getElementById('comp-msg'); if(msg) msg.textContent = `Editing your ${SUBMISSION_STATUSES[editing.status].toLowerCase()} submission — ${editing.statusReason || ''}`;
+  }
+  showSubmissionRightsNotice('comp-msg');
   document.getElementById('submit-completion-form')?.addEventListener('submit', e => {
     e.preventDefault();
+    if(!requireSubmissionRights()) return;
     const levelRef = (document.getElementById('comp-level') && document.getElementById('comp-level').value) || '';
     const youtube = (document.getElementById('comp-youtube') && document.getElementById('comp-youtube').value) || '';
     const raw = (document.getElementById('comp-raw') && document.getElementById('comp-raw').value) || '';
@@ -558,9 +1544,16 @@ function initSubmitCompletionPage(){
     if(percentInput){ const v = parseFloat(percentInput.value); if(!isNaN(v)) percent = Math.max(0, Math.min(100, Math.round(v))); }
     const msg = document.getElementById('comp-msg');
     if(!levelRef || !youtube || !raw){ if(msg){ msg.textContent = 'Fill required fields'; msg.style.color = '#ff6b6b'; } return; }
+    if(!safeHttpUrl(youtube) || !safeHttpUrl(raw)){ if(msg){ msg.textContent = 'Video and raw footage must be http(s) links'; msg.style.color = '#ff6b6b'; } return; }
     const levelObj = getLevels().find(x => x.id === levelRef);
     const levelNameSnapshot = levelObj ? levelObj.name : '';
-    const subs = getSubs(); subs.push({ id: uid(), type:'completion', levelRef, levelName: levelNameSnapshot, youtube, raw, percent, submitter: getSession().username, status:'pending', createdAt: now() });
+    if(editing){
+      if(!resubmitSubmission(editing.id, { levelRef, levelName: levelNameSnapshot, youtube, raw, percent })){ if(msg){ msg.textContent = 'This submission can no longer be resubmitted — it may have been reviewed meanwhile'; msg.style.color = '#ff6b6b'; } return; }
+      if(msg){ msg.textContent = 'Resubmitted — pending review'; msg.style.color = '#30c75b'; }
+      setTimeout(()=> window.location.href = 'mysubmissions.html', 900);
+      return;
+    }
+    const subs = getSubs(); subs.push(Object.assign({ id: uid(), type:'completion', levelRef, levelName: levelNameSnapshot, youtube, raw, percent, submitter: getSession().username, createdAt: now() }, newSubmissionLifecycle(getSession().username)));
     saveSubs(subs);
     addAudit({ id: uid(), action:'submit_completion', actor: getSession().username, target: null, details:{ levelRef, percent }, ts: now() });
     if(msg){ msg.textContent = 'Completion submitted — pending review'; msg.style.color = '#30c75b'; }
@@ -572,15 +1565,21 @@ function initSubmitCompletionPage(){
 function initMySubmissionsPage(){
   renderTopbar();
   const session = getSession(); if(!session){ alert('Login required'); window.location.href='index.html'; return; }
-  const area = document.getElementById('my-subs-area'); if(!area) return; area.innerHTML = '';
-  const subs = getSubs().filter(s => s.submitter === session.username);
-  if(!subs.length){ area.innerHTML = '<div class="muted">You have no submissions</div>'; return; }
+  const area = document.getElementById('my-subs-area'); if(!area) return; area.innerHTML = accountStandingHTML(getCurrentUser());
+  const subs = getSubs().filter(s => s.submitter === session.username).sort((a,b) => (b.statusChangedAt || b.createdAt || 0) - (a.statusChangedAt || a.createdAt || 0));
+  if(!subs.length){ area.insertAdjacentHTML('beforeend', '<div class="muted">You have no submissions</div>'); return; }
   subs.forEach(s => {
+    const status = submissionStatus(s);
+    const editPage = s.type === 'level' ? 'submitlevel.html' : 'submitcompletion.html';
+    const history = (s.statusHistory || []).slice().reverse();
     const el = document.createElement('div'); el.className = 'card'; el.style.margin = '8px 0';
-    el.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center"><div><strong>${escapeHTML(s.name || s.levelName || '(completion)')}</strong> — ${escapeHTML(s.type)}</div><div><button class="btn ghost ms-delete" data-id="${s.id}">Delete</button></div></div>`;
+    el.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center;gap:8px"><div><strong>${escapeHTML(s.name || s.levelName || '(completion)')}</strong> — ${escapeHTML(s.type)} ${submissionStatusBadgeHTML(status)}</div>
+      <div style="display:flex;gap:8px">${RESUBMITTABLE_STATUSES.includes(status) ? `<a class="btn small-btn" href="${editPage}?edit=${encodeURIComponent(s.id)}">Edit &amp; resubmit</a>` : ''}${status !== 'approved' ? `<button class="btn ghost small-btn ms-delete" data-id="${s.id}">Delete</button>` : ''}</div></div>
+      ${s.statusReason && status !== 'pending' ? `<div style="margin-top:8px"><span class="muted">Reason:</span> ${escapeHTML(s.statusReason)}${s.reviewedBy ? ` <span class="muted">— ${escapeHTML(s.reviewedBy)}</span>` : ''}</div>` : ''}
+      ${history.length ? `<details class="status-history" style="margin-top:8px"><summary class="muted">History (${history.length})</summary>${history.map(h => `<div class="status-history-entry">${submissionStatusBadgeHTML(h.to)} <span class="muted">${formatDate(h.ts)} • ${escapeHTML(h.actor || '')}</span><div>${escapeHTML(h.reason || '')}</div></div>`).join('')}</details>` : ''}`;
     area.appendChild(el);
   });
-  area.querySelectorAll('.ms-delete').forEach(b => b.onclick = function(){ if(!confirm('Delete submission?')) return; saveSubs(getSubs().filter(x=>x.id !== this.dataset.id)); initMySubmissionsPage(); });
+  area.querySelectorAll('.ms-delete').forEach(b => b.onclick = function(){ if(!confirm('Delete submission?')) return; deleteSubs([this.dataset.id]); initMySubmissionsPage(); });
 }
 
 /* ======================== MOD PANEL ======================== */
@@ -588,55 +1587,258 @@ function initModPanelPage(){
   renderTopbar();
   const sess = getSession(); if(!sess){ alert('Login required'); window.location.href='index.html'; return; }
   const me = getUsers().find(u => u.username === sess.username);
-  if(!me || (me.role !== 'mod' && me.role !== 'headadmin')){ alert('Mods only'); window.location.href='index.html'; return; }
+  if(!hasModAccess(me)){ alert('Mods only'); window.location.href='index.html'; return; }
 
   renderPendingSubmissions();
   renderRankingEditor();
+  renderPointsConfig();
   renderBannedUsersList();
+  renderAppealQueue();
   renderAuditLog();
   renderUserManagementArea();
   renderPlayerSearchArea();
+  renderPasswordResetArea();
+  renderRoleEditor();
+  renderTagRegistryEditor();
+  renderSyncConflicts();
+  renderBackupArea();
+  window.addEventListener('sync:conflicts', () => renderSyncConflicts());
 
   document.getElementById('ban-btn')?.addEventListener('click', () => {
     const username = (document.getElementById('ban-username') && document.getElementById('ban-username').value || '').trim();
-    const days = parseInt((document.getElementById('ban-days') && document.getElementById('ban-days').value) || '1', 10);
+    const type = (document.getElementById('ban-type') && document.getElementById('ban-type').value) || 'ban';
+    const days = Number((document.getElementById('ban-days') && document.getElementById('ban-days').value.trim()) || '1');
     const reason = (document.getElementById('ban-reason') && document.getElementById('ban-reason').value) || 'No reason';
     if(!username){ alert('Enter a username'); return; }
-    const users = getUsers(); const target = users.find(u => u.username === username);
-    if(!target){ alert('User not found'); return; }
-    if(target.role === 'headadmin'){ alert('You cannot ban the Head Admin'); return; }
-    if(days === 0) target.bannedUntil = 9999999999999; else target.bannedUntil = Date.now() + days*24*3600*1000;
-    target.banReason = reason; target.bannedBy = getSession().username; target.bannedAt = now();
-    saveUsers(users);
-    addAudit({ id: uid(), action:'ban', actor: getSession().username, target: target.username, details:{ until: target.bannedUntil, reason }, ts: now() });
-    alert(`Banned ${username}`);
-    renderBannedUsersList(); renderAuditLog();
+    if(!issueSanction(username, type, days, reason)) return;
+    alert(`${SANCTION_TYPES[type]} issued to ${username}`);
+    renderBannedUsersList(); renderAppealQueue(); renderAuditLog();
   });
 }
 
 /* Pending submissions */
+let _openReviewId = null;
+const _reviewNoteDrafts = {};
 function renderPendingSubmissions(){
-  const area = document.getElementById('pending-submissions'); if(!area) return; area.innerHTML = '';
-  const subs = getSubs().filter(s => s.status === 'pending');
+  const area = document.getElementById('pending-submissions'); if(!area) return;
+  const me = getCurrentUser(); const reviewable = SUBMISSION_CAPABILITY_TYPES.filter(([, cap]) => can(me, cap)).map(([type]) => type);
+  if(!showModSection(area, reviewable.length > 0)) return;
+  area.innerHTML = '';
+  const subs = getSubs().filter(s => OPEN_SUBMISSION_STATUSES.includes(submissionStatus(s)) && reviewable.includes(s.type));
   if(!subs.length){ area.innerHTML = '<div class="muted">No pending submissions</div>'; return; }
   subs.forEach(s => {
+    const status = submissionStatus(s);
+    const lockedBy = submissionLockedBy(s, me);
+    const claim = activeClaim(s);
     const wrapper = document.createElement('div'); wrapper.className = 'mod-item';
-    wrapper.innerHTML = `<div style="max-width:60%"><strong>${escapeHTML(s.name || s.levelName || '(completion)')}</strong> — ${escapeHTML(s.type)} — ${escapeHTML(s.submitter)} ${s.levelRef ? '• levelRef:' + escapeHTML(s.levelRef) : ''}${renderTagBadgesHTML(s.tags||'') ? `<div class="tag-badges" style="margin-top:6px">${renderTagBadgesHTML(s.tags||[])}</div>` : ''}</div><div style="display:flex;gap:8px;align-items:center"><button class="btn approve" data-id="${s.id}">Approve</button><button class="btn ghost reject" data-id="${s.id}">Reject</button></div>`;
+    wrapper.innerHTML = `<div style="max-width:60%"><strong>${escapeHTML(s.name || s.levelName || '(completion)')}</strong> ${submissionStatusBadgeHTML(status)} — ${escapeHTML(s.type)} — ${escapeHTML(s.submitter)} ${s.levelRef ? '• levelRef:' + escapeHTML(s.levelRef) : ''}${(s.revision||1) > 1 ? ` • revision ${s.revision}` : ''}${claim ? `<div class="muted" style="font-size:12px">🔒 Claimed by ${escapeHTML(claim.by)} until ${formatDate(claim.expiresAt)}</div>` : ''}${renderTagBadgesHTML(s.tags||'') ? `<div class="tag-badges" style="margin-top:6px">${renderTagBadgesHTML(s.tags||[])}</div>` : ''}</div>
+      <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap"><button class="btn ghost small-btn open-review">${_openReviewId === s.id ? 'Close' : 'Open'}</button>${lockedBy ? '' : `<button class="btn approve transition" data-id="${s.id}" data-to="approved">Approve</button><button class="btn ghost transition" data-id="${s.id}" data-to="needs_changes">Needs changes</button><button class="btn ghost reject transition" data-id="${s.id}" data-to="rejected">Reject</button>`}</div>`;
+    wrapper.querySelector('.open-review').onclick = () => { _openReviewId = (_openReviewId === s.id ? null : s.id); renderPendingSubmissions(); };
     area.appendChild(wrapper);
+    if(_openReviewId === s.id) area.appendChild(buildReviewWorkspace(s, me));
+  });
+  area.querySelectorAll('.transition').forEach(b => b.onclick = async () => {
+    b.disabled = true;
+    await transitionSubmission(b.dataset.id, b.dataset.to);
+    renderPendingSubmissions(); renderRankingEditor(); renderMainList(); renderAuditLog(); renderBannedUsersList();
+  });
+}
+
+/* ----------------------- Review workspace ----------------------- */
+/* Claims lock a submission for one mod for SUBMISSION_CLAIM_TTL; an expired claim is
+   simply ignored, so nothing has to run to release it. Notes are mod-only. */
+const SUBMISSION_CLAIM_TTL = 15 * 60 * 1000;
+function activeClaim(sub){
+  if(!sub || !sub.claimedBy || !(sub.claimExpiresAt > now())) return null;
+  return { by: sub.claimedBy, expiresAt: sub.claimExpiresAt };
+}
+function submissionLockedBy(sub, me){
+  const claim = activeClaim(sub);
+  return (claim && (!me || claim.by !== me.username)) ? claim.by : null;
+}
+
+async function claimSubmission(id){
+  if(!(await isSubmissionStillOpen(id))) return false;
+  const subs = getSubs(); const s = subs.find(x => x.id === id); const actor = getSession().username;
+  const lockedBy = submissionLockedBy(s, getCurrentUser());
+  if(lockedBy){ alert(`Already claimed by ${lockedBy}`); return false; }
+  if(submissionStatus(s) === 'pending') applySubmissionTransition(s, 'under_review', `Claimed by ${actor}`, actor);
+  s.claimedBy = actor; s.claimExpiresAt = now() + SUBMISSION_CLAIM_TTL;
+  saveSubs(subs);
+  addAudit({ id: uid(), action:'claim_submission', actor, target: s.id, details:{ name: s.name || s.levelName, until: s.claimExpiresAt }, ts: now() });
+  return true;
+}
+
+function releaseSubmission(id){
+  const subs = getSubs(); const s = subs.find(x => x.id === id); const actor = getSession().username;
+  if(!s || (s.claimedBy !== actor && submissionLockedBy(s, getCurrentUser()))) return false;
+  if(submissionStatus(s) === 'under_review') applySubmissionTransition(s, 'pending', `Claim released by ${actor}`, actor);
+  delete s.claimedBy; delete s.claimExpiresAt;
+  saveSubs(subs);
+  addAudit({ id: uid(), action:'release_submission', actor, target: s.id, details:{ name: s.name || s.levelName }, ts: now() });
+  return true;
+}
+
+function addSubmissionNote(id, text){
+  const subs = getSubs(); const s = subs.find(x => x.id === id); if(!s || !text.trim()) return false;
+  if(!requireCapability(submissionCapability(s))) return false;
+  s.modNotes = (s.modNotes || []).concat([{ id: uid(), author: getSession().username, text: text.trim(), ts: now() }]);
+  saveSubs(subs);
+  return true;
+}
+
+function buildReviewWorkspace(s, me){
+  const ws = document.createElement('div'); ws.className = 'review-workspace card';
+  const claim = activeClaim(s); const mine = claim && me && claim.by === me.username;
+  const levels = getLevels();
+  let placementHTML = '';
+  if(s.type === 'completion'){
+    const level = levels.find(l => l.id === s.levelRef);
+    placementHTML = level
+      ? `<strong>#${escapeHTML(String(level.placement))} ${escapeHTML(level.name)}</strong> <span class="muted">• ${escapeHTML(tierLabel(levelTier(level)))} • worth ${pointsForLevel(level)} pts${s.percent !== null && s.percent !== undefined ? ` • ${escapeHTML(String(s.percent))}%` : ''}</span>`
+      : '<span class="muted">Referenced level is no longer on the list</span>';
+  } else {
+    const next = lastActivePlacement(levels) + 1;
+    placementHTML = `<span class="muted">New level • placement chosen on approval (#1–${next}) • GD ID ${escapeHTML(s.levelId || '-')} • by ${escapeHTML((s.creators || []).join(', ') || '-')}</span>`;
+  }
+  const submitter = getUsers().find(u => u.username === s.submitter);
+  const previous = getSubs().filter(x => x.submitter === s.submitter && x.id !== s.id);
+  const counts = previous.reduce((c, x) => { const st = submissionStatus(x); c[st] = (c[st] || 0) + 1; return c; }, {});
+  const embed = youtubeEmbed(s.youtube);
+  ws.innerHTML = `
+    <div class="review-grid">
+      <div class="review-video">${embed ? `<iframe src="${escapeHTML(embed)}" allowfullscreen></iframe>` : '<div class="muted">No video</div>'}
+        <div style="margin-top:8px;display:flex;gap:12px;flex-wrap:wrap">${safeHttpUrl(s.youtube) ? `<a href="${escapeHTML(safeHttpUrl(s.youtube))}" target="_blank" rel="noopener">Video</a>` : ''}${safeHttpUrl(s.raw) ? `<a href="${escapeHTML(safeHttpUrl(s.raw))}" target="_blank" rel="noopener">Raw footage</a>` : `<span class="muted">${s.raw ? 'Raw footage link is not an http(s) URL' : 'No raw footage'}</span>`}</div>
+      </div>
+      <div>
+        <div class="review-block"><div class="review-label">Level</div>${placementHTML}</div>
+        <div class="review-block"><div class="review-label">Submitter</div>${submitter ? `<strong>${escapeHTML(submitter.username)}</strong> <span class="muted">• ${escapeHTML(String(submitter.points || 0))} pts • ${(submitter.completedRecords || []).length} records</span> ${sanctionBadgeHTML(submitter)}` : '<span class="muted">Account missing</span>'}
+          <div class="muted" style="font-size:12px;margin-top:4px">${previous.length ? Object.entries(counts).map(([st, n]) => `${n} ${escapeHTML(SUBMISSION_STATUSES[st] || st).toLowerCase()}`).join(' • ') : 'No earlier submissions'}</div>
+          ${previous.slice(-5).reverse().map(x => `<div style="font-size:13px;margin-top:4px">${submissionStatusBadgeHTML(submissionStatus(x))} ${escapeHTML(x.name || x.levelName || x.type)}${x.statusReason && submissionStatus(x) !== 'pending' ? ` <span class="muted">— ${escapeHTML(x.statusReason)}</span>` : ''}</div>`).join('')}
+        </div>
+        <div class="review-block"><div class="review-label">Claim</div>${claim ? `🔒 ${escapeHTML(claim.by)} until ${formatDate(claim.expiresAt)}` : '<span class="muted">Unclaimed</span>'}
+          <div style="margin-top:6px;display:flex;gap:8px">${!claim || mine ? `<button class="btn small-btn claim">${mine ? 'Extend claim' : 'Claim'}</button>` : ''}${mine ? '<button class="btn ghost small-btn release">Release</button>' : ''}</div>
+        </div>
+      </div>
+    </div>
+    <div class="review-block"><div class="review-label">Mod notes</div>
+      ${(s.modNotes || []).map(n => `<div class="review-note"><span class="muted">${escapeHTML(n.author)} • ${formatDate(n.ts)}</span><div>${escapeHTML(n.text)}</div></div>`).join('') || '<div class="muted">No notes yet</div>'}
+      <textarea class="input note-input" rows="2" placeholder="Internal note (not shown to the submitter)" style="margin-top:8px;width:100%"></textarea>
+      <button class="btn small-btn add-note" style="margin-top:6px">Add note</button>
+    </div>`;
+  const refresh = () => { renderPendingSubmissions(); renderAuditLog(); };
+  const claimBtn = ws.querySelector('.claim'); if(claimBtn) claimBtn.onclick = async () => { claimBtn.disabled = true; await claimSubmission(s.id); refresh(); };
+  const releaseBtn = ws.querySelector('.release'); if(releaseBtn) releaseBtn.onclick = () => { releaseSubmission(s.id); refresh(); };
+  const note = ws.querySelector('.note-input');
+  note.value = _reviewNoteDrafts[s.id] || '';
+  note.oninput = () => { _reviewNoteDrafts[s.id] = note.value; };
+  ws.querySelector('.add-note').onclick = () => { if(addSubmissionNote(s.id, note.value)){ delete _reviewNoteDrafts[s.id]; renderPendingSubmissions(); } };
+  return ws;
+}
+
+const SUBMISSION_CAPABILITY_TYPES = [['level','approve_levels'], ['completion','approve_completions']];
+function submissionCapability(sub){ const m = SUBMISSION_CAPABILITY_TYPES.find(([type]) => sub && type === sub.type); return m ? m[1] : null; }
+
+/* Re-reads the submission from the server right before acting on it, so two mods
+   looking at the same queue can't both approve it. Offline, the local copy is used. */
+async function isSubmissionStillOpen(id){
+  try { await refreshTables(['submissions','users']); }
+  catch(e){ console.warn('Could not refresh submissions before review', e); }
+  const s = getSubs().find(x => x.id === id);
+  if(!s || !OPEN_SUBMISSION_STATUSES.includes(submissionStatus(s))){ alert('This submission was already handled by another moderator.'); return false; }
+  return requireCapability(submissionCapability(s));
+}
+
+/* Mod-side status change: freshness check, permission, required reason, audit entry. */
+async function transitionSubmission(id, to){
+  if(!(await isSubmissionStillOpen(id))) return false;
+  const lockedBy = submissionLockedBy(getSubs().find(x => x.id === id), getCurrentUser());
+  if(lockedBy){ alert(`${lockedBy} has claimed this submission`); return false; }
+  if(to === 'approved' && getSubs().find(x => x.id === id).type === 'level'){
+    const choice = await askLevelPlacement(getSubs().find(x => x.id === id)); if(!choice) return false;
+    return approveSubmission(id, choice.reason, choice.placement);
+  }
+  const reason = askTransitionReason(to); if(reason === null) return false;
+  if(to === 'approved') return approveSubmission(id, reason);
+  const subs = getSubs(); const s = subs.find(x => x.id === id); const actor = getSession().username;
+  if(!s || !applySubmissionTransition(s, to, reason, actor)){ alert(`Can't move this submission to "${SUBMISSION_STATUSES[to]}"`); return false; }
+  saveSubs(subs);
+  addAudit({ id: uid(), action: SUBMISSION_TRANSITION_ACTIONS[to], actor, target: s.id, details:{ name: s.name || s.levelName, submitter: s.submitter, reason }, ts: now() });
+  return true;
+}
+
+function askTransitionReason(to){
+  const reason = prompt(`Reason for "${SUBMISSION_STATUSES[to]}" (shown to the submitter):`, to === 'approved' ? 'Approved' : '');
+  if(reason === null) return null;
+  if(!reason.trim()){ alert('A reason is required'); return null; }
+  return reason.trim();
+}
+
+/* ----------------------- Level approval placement ----------------------- */
+/* New levels can go anywhere above the Legacy-flagged levels: 1..lastActivePlacement+1. */
+function insertionPreview(levels, placement){
+  const active = levels.filter(l => l.status === 'published' && !l.legacy).sort((a,b) => (a.placement||999) - (b.placement||999));
+  return {
+    above: active.filter(l => l.placement < placement).slice(-2),
+    shifted: active.filter(l => l.placement >= placement)
+  };
+}
+function placementPreviewHTML(name, placement){
+  const { above, shifted } = insertionPreview(getLevels(), placement);
+  const level = { placement }; const tier = levelTier(level);
+  const rows = above.map(l => `<div class="muted">#${l.placement} ${escapeHTML(l.name)}</div>`)
+    .concat(`<div class="placement-new"><strong>#${placement} ${escapeHTML(name)}</strong> <span class="muted">• ${escapeHTML(tierLabel(tier))} • worth ${pointsForLevel(level)} pts</span></div>`)
+    .concat(shifted.slice(0, 2).map(l => `<div class="muted">#${l.placement + 1} ${escapeHTML(l.name)} <span class="delta-down">(was #${l.placement})</span></div>`));
+  if(shifted.length > 2) rows.push(`<div class="muted">…and ${shifted.length - 2} more level${shifted.length - 2 === 1 ? '' : 's'} move down one</div>`);
+  return rows.join('');
+}
+/* Resolves to { placement, reason } or null if the mod cancels. */
+function askLevelPlacement(s){
+  return new Promise(resolve => {
+    const last = lastActivePlacement(getLevels()) + 1;
+    const overlay = document.createElement('div'); overlay.id = 'approveOverlay'; overlay.className = 'sync-overlay';
+    overlay.innerHTML = `
+      <div class="sync-panel card">
+        <h3 style="margin-top:0">Approve "${escapeHTML(s.name)}"</h3>
+        <label>Place at # <input type="number" class="approve-placement" min="1" max="${last}" value="${last}" style="width:90px"></label>
+        <span class="muted" style="font-size:13px">1–${last}; levels from there down move one place</span>
+        <div class="placement-preview"></div>
+        <label>Reason (shown to the submitter)<textarea class="approve-reason" rows="2" style="width:100%">Approved</textarea></label>
+        <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px">
+          <button class="btn ghost small-btn" data-act="cancel">Cancel</button>
+          <button class="btn safe small-btn" data-act="approve">Approve</button>
+        </div>
+      </div>`;
+    const input = overlay.querySelector('.approve-placement'); const preview = overlay.querySelector('.placement-preview');
+    const chosen = () => Math.min(last, Math.max(1, parseInt(input.value, 10) || last));
+    const done = value => { overlay.remove(); resolve(value); };
+    input.oninput = () => { preview.innerHTML = placementPreviewHTML(s.name, chosen()); };
+    input.oninput();
+    overlay.onclick = e => { if(e.target === overlay) done(null); };
+    overlay.querySelector('[data-act="cancel"]').onclick = () => done(null);
+    overlay.querySelector('[data-act="approve"]').onclick = () => {
+      const reason = overlay.querySelector('.approve-reason').value.trim();
+      if(!reason){ alert('A reason is required'); return; }
+      done({ placement: chosen(), reason });
+    };
+    document.body.appendChild(overlay);
+    input.focus();
   });
-  area.querySelectorAll('.approve').forEach(b => b.onclick = () => { approveSubmission(b.dataset.id); renderPendingSubmissions(); renderRankingEditor(); renderMainList(); renderAuditLog(); renderBannedUsersList(); });
-  area.querySelectorAll('.reject').forEach(b => b.onclick = () => { if(!confirm('Reject?')) return; saveSubs(getSubs().filter(x => x.id !== b.dataset.id)); renderPendingSubmissions(); });
 }
 
-/* Approve submission (level or completion) */
-function approveSubmission(id){
-  const subs = getSubs(); const s = subs.find(x => x.id === id); if(!s) return;
+/* Approve submission (level or completion). Levels go in at `placement` (default: bottom of
+   the list above Legacy) and everything from there down shifts one place in the same save. */
+function approveSubmission(id, reason, placement){
+  const subs = getSubs(); const s = subs.find(x => x.id === id); if(!s) return false;
+  if(!requireCapability(submissionCapability(s))) return false;
+  const actor = getSession().username;
   if(s.type === 'level'){
-    const levels = getLevels(); const maxPlacement = levels.reduce((m,lv) => Math.max(m, lv.placement || 0), 0);
+    const levels = getLevels(); const before = placementSnapshot(levels);
+    const target = Math.min(lastActivePlacement(levels) + 1, Math.max(1, parseInt(placement, 10) || Infinity));
     const thumb = youtubeThumb(s.youtube) || '';
     const newLevel = {
       id: uid(),
-      placement: maxPlacement + 1,
+      placement: target - 0.5, // sorts just above whatever holds `target` now
       name: s.name,
       levelId: s.levelId,
       creators: s.creators || [],
@@ -648,130 +1850,950 @@ function approveSubmission(id){
       approvedBy: getSession().username,
       approvedAt: now()
     };
-    levels.push(newLevel); saveLevels(levels); saveSubs(subs.filter(x=>x.id !== id));
-    addAudit({ id: uid(), action:'approve_level', actor:getSession() && getSession().username, target: newLevel.id, details:{ name:newLevel.name, placement:newLevel.placement }, ts: now() });
-    alert('Level approved and added to main list');
+    levels.push(newLevel); normalizeLevelOrder(levels); saveLevels(levels); // ahead of any legacy-flagged levels
+    const change = recordListChange('placed', newLevel.id, before);
+    applySubmissionTransition(s, 'approved', reason, actor); saveSubs(subs);
+    const points = recalculatePointsAfterListChange('approve_level');
+    addAudit({ id: uid(), action:'approve_level', actor, target: newLevel.id, details:{ name:newLevel.name, placement:newLevel.placement, submission: s.id, reason, shifted: change ? change.displaced : [], points }, ts: now() });
+    alert(`Level approved and placed at #${newLevel.placement}`);
+    return true;
   } else if(s.type === 'completion'){
     const levels = getLevels(); const level = levels.find(l => l.id === s.levelRef);
-    if(!level){ alert('Referenced level not found'); return; }
-    const placement = level.placement || 999;
-    const pts = Math.max(1, Math.min(100, 101 - placement));
+    if(!level){ alert('Referenced level not found'); return false; }
     const users = getUsers(); const user = users.find(u => u.username === s.submitter);
-    if(!user){ alert('Submitter account missing'); saveSubs(subs.filter(x=>x.id !== id)); return; }
-    user.points = (user.points || 0) + pts;
+    if(!user){ alert('Submitter account missing'); deleteSubs([id]); return false; }
     user.completedRecords = user.completedRecords || [];
     const exists = user.completedRecords.find(r => r.levelId === s.levelRef && r.youtube === s.youtube);
-    if(!exists){
-      user.completedRecords.push({ levelId: s.levelRef, levelName: s.levelName || (level && level.name) || '', ts: now(), percent: (s.percent !== undefined ? s.percent : null), youtube: s.youtube, awardedPoints: pts });
+    if(exists){
+      applySubmissionTransition(s, 'rejected', 'Duplicate: this completion is already on record', actor); saveSubs(subs);
+      alert(`${user.username} already has this completion — no points awarded`);
+      return false;
     }
+    // each level counts once, however many full completions a player has on it
+    const record = { levelId: s.levelRef, levelName: s.levelName || (level && level.name) || '', ts: now(), percent: (s.percent !== undefined ? s.percent : null), youtube: s.youtube };
+    const pts = !isFullCompletion(record) || user.completedRecords.some(r => r.levelId === s.levelRef && isFullCompletion(r)) ? 0 : pointsForLevel(level);
+    user.points = (user.points || 0) + pts;
+    user.completedRecords.push(Object.assign(record, { awardedPoints: pts }));
     saveUsers(users);
-    saveSubs(subs.filter(x => x.id !== id));
-    addAudit({ id: uid(), action:'approve_completion', actor:getSession() && getSession().username, target: s.id, details:{ submitter: user.username, level: s.levelRef, points: pts, percent: s.percent }, ts: now() });
+    applySubmissionTransition(s, 'approved', reason, actor); saveSubs(subs);
+    addAudit({ id: uid(), action:'approve_completion', actor, target: s.id, details:{ submitter: user.username, level: s.levelRef, youtube: s.youtube, points: pts, percent: s.percent, reason }, ts: now() });
     alert(`Approved completion — awarded ${pts} points to ${user.username}`);
+    return true;
   }
+  return false;
 }
 
 /* ----------------------- Ranking editor and tag edit/remove ----------------------- */
 function renderRankingEditor(){
-  const out = document.getElementById('ranking-editor'); if(!out) return; out.innerHTML = '';
+  const out = document.getElementById('ranking-editor'); if(!out) return;
+  if(!showModSection(out, currentUserCan('reorder_list'))) return;
+  out.innerHTML = '';
+  if(_rankingStage){ renderStagedRanking(out); return; }
   const levels = (getLevels()||[]).filter(l => l.status === 'published').slice().sort((a,b) => (a.placement||999) - (b.placement||999));
   if(!levels.length){ out.innerHTML = '<div class="muted">No published levels on the list.</div>'; return; }
+  const reorder = document.createElement('button'); reorder.className = 'btn small-btn'; reorder.textContent = 'Reorder (drag & drop)'; reorder.style.marginBottom = '10px';
+  reorder.onclick = startReorder; out.appendChild(reorder);
+  const tiers = getTiersConfig(); let currentTier = null;
   levels.forEach(l => {
+    const tier = levelTier(l, tiers);
+    if(tier !== currentTier){ currentTier = tier; out.appendChild(buildTierHeader(tier, tiers)); }
     const row = document.createElement('div'); row.className = 'mod-item'; row.style.display = 'flex'; row.style.justifyContent = 'space-between'; row.style.alignItems = 'center';
     const left = document.createElement('div'); left.innerHTML = `<strong>#${l.placement}</strong> ${escapeHTML(l.name)}`;
     const right = document.createElement('div'); right.style.display = 'flex'; right.style.gap = '8px'; right.style.alignItems = 'center';
     const up = document.createElement('button'); up.className = 'btn ghost small-btn'; up.textContent = '↑'; up.onclick = () => { swapPlacement(l.id, -1); renderRankingEditor(); renderMainList(); };
     const down = document.createElement('button'); down.className = 'btn ghost small-btn'; down.textContent = '↓'; down.onclick = () => { swapPlacement(l.id, 1); renderRankingEditor(); renderMainList(); };
     const edit = document.createElement('button'); edit.className = 'btn ghost small-btn'; edit.innerHTML = '✎'; edit.title = 'Edit tags'; edit.onclick = () => openTagEditorForLevel(l.id);
-    const removeBtn = document.createElement('button'); removeBtn.className = 'btn danger small-btn'; removeBtn.textContent = '✕'; removeBtn.onclick = () => { if(!confirm(`Permanently remove level "${l.name}"?`)) return; removeLevelById(l.id); addAudit({ id: uid(), action:'remove_level', actor:getSession() && getSession().username, target: l.id, details:{ name: l.name }, ts: now() }); renderRankingEditor(); renderMainList(); };
-    right.appendChild(up); right.appendChild(down); right.appendChild(edit); right.appendChild(removeBtn);
+    const legacy = document.createElement('button'); legacy.className = 'btn ghost small-btn'; legacy.textContent = l.legacy ? 'Restore' : 'To Legacy'; legacy.title = l.legacy ? 'Move back above the Legacy list' : 'Move to the top of the Legacy list';
+    legacy.onclick = () => { if(!confirm(l.legacy ? `Restore "${l.name}" from Legacy?` : `Move "${l.name}" to Legacy? It will stop awarding points.`)) return; moveLevelToLegacy(l.id, !l.legacy); renderRankingEditor(); renderMainList(); renderAuditLog(); };
+    const removeBtn = document.createElement('button'); removeBtn.className = 'btn danger small-btn'; removeBtn.textContent = '✕'; removeBtn.onclick = () => { if(!requireCapability('reorder_list') || !confirm(`Permanently remove level "${l.name}"?`)) return; removeLevelById(l.id); renderRankingEditor(); renderMainList(); };
+    right.appendChild(up); right.appendChild(down); right.appendChild(edit); right.appendChild(legacy); right.appendChild(removeBtn);
     row.appendChild(left); row.appendChild(right);
     out.appendChild(row);
   });
 }
 
+/* ----------------------- Staged reordering ----------------------- */
+/* Drag-and-drop moves only change _rankingStage.order; nothing is saved until
+   commitReorder() writes the whole new order in one save and one audit entry. */
+let _rankingStage = null; // { baseline: [ids], order: [ids] } while reorder mode is on
+let _draggedLevelId = null;
+function rankedLevelIds(levels){
+  return (levels || getLevels()).filter(l => l.status === 'published').sort((a,b) => (a.placement||999) - (b.placement||999)).map(l => l.id);
+}
+function startReorder(){
+  if(!requireCapability('reorder_list')) return;
+  const ids = rankedLevelIds(); _rankingStage = { baseline: ids, order: ids.slice() };
+  renderRankingEditor();
+}
+function discardReorder(){ _rankingStage = null; renderRankingEditor(); }
+function stageLevelMove(levelId, toIndex){
+  const order = _rankingStage.order; const from = order.indexOf(levelId);
+  if(from === -1 || toIndex < 0 || toIndex >= order.length || from === toIndex) return false;
+  const byId = new Map(getLevels().map(l => [l.id, l]));
+  if(!!(byId.get(levelId) || {}).legacy !== !!(byId.get(order[toIndex]) || {}).legacy){ alert('Use "Move to Legacy" / "Restore" to move a level across the Legacy boundary'); return false; }
+  order.splice(from, 1); order.splice(toIndex, 0, levelId);
+  return true;
+}
+function stagedMoves(){
+  const base = new Map(_rankingStage.baseline.map((id, i) => [id, i + 1]));
+  return _rankingStage.order.map((id, i) => ({ id, from: base.get(id), to: i + 1 })).filter(m => m.from !== m.to);
+}
+
+function renderStagedRanking(out){
+  const byId = new Map(getLevels().map(l => [l.id, l]));
+  const moves = new Map(stagedMoves().map(m => [m.id, m]));
+  const bar = document.createElement('div'); bar.className = 'reorder-bar';
+  bar.innerHTML = `<span class="muted">Reorder mode — drag rows to stage moves. ${moves.size ? `${moves.size} level${moves.size === 1 ? '' : 's'} would change place.` : 'No changes staged.'}</span>
+    <span style="display:flex;gap:8px"><button class="btn ghost small-btn" data-act="discard">Discard</button><button class="btn safe small-btn" data-act="commit" ${moves.size ? '' : 'disabled'}>Commit changes</button></span>`;
+  bar.querySelector('[data-act="discard"]').onclick = () => { if(!moves.size || confirm('Discard the staged moves?')) discardReorder(); };
+  bar.querySelector('[data-act="commit"]').onclick = async () => { if(await commitReorder()){ renderRankingEditor(); renderMainList(); renderAuditLog(); } };
+  out.appendChild(bar);
+  const tiers = getTiersConfig(); let currentTier = null;
+  _rankingStage.order.forEach((id, i) => {
+    const l = byId.get(id); if(!l) return;
+    const tier = levelTier({ placement: i + 1, legacy: l.legacy }, tiers);
+    if(tier !== currentTier){ currentTier = tier; out.appendChild(buildTierHeader(tier, tiers)); }
+    const m = moves.get(id);
+    const row = document.createElement('div'); row.className = 'mod-item reorder-row' + (m ? ' staged-changed' : ''); row.draggable = true;
+    const diff = m ? `<span class="${m.to < m.from ? 'delta-up' : 'delta-down'}">${m.to < m.from ? '▲' : '▼'} was #${m.from}</span>` : '';
+    row.innerHTML = `<div><span class="drag-handle">⠿</span> <strong>#${i + 1}</strong> ${escapeHTML(l.name)} ${diff}</div>
+      <div style="display:flex;gap:8px"><button class="btn ghost small-btn" data-dir="-1">↑</button><button class="btn ghost small-btn" data-dir="1">↓</button></div>`;
+    row.querySelectorAll('[data-dir]').forEach(b => { b.onclick = () => { if(stageLevelMove(id, i + Number(b.dataset.dir))) renderRankingEditor(); }; });
+    row.ondragstart = e => { _draggedLevelId = id; row.classList.add('dragging'); if(e.dataTransfer){ e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', id); } };
+    row.ondragend = () => { _draggedLevelId = null; row.classList.remove('dragging'); };
+    row.ondragover = e => { e.preventDefault(); row.classList.add('drop-target'); };
+    row.ondragleave = () => row.classList.remove('drop-target');
+    row.ondrop = e => { e.preventDefault(); row.classList.remove('drop-target'); if(_draggedLevelId && stageLevelMove(_draggedLevelId, i)) renderRankingEditor(); };
+    out.appendChild(row);
+  });
+}
+
+/* Applies the staged order in one save, one changelog event and one audit entry. */
+async function commitReorder(){
+  if(!_rankingStage || !requireCapability('reorder_list')) return false;
+  try { await refreshTables(['levels']); }
+  catch(e){ console.warn('Could not refresh levels before reordering', e); }
+  const levels = getLevels();
+  if(rankedLevelIds(levels).join() !== _rankingStage.baseline.join()){
+    alert('The list changed while you were reordering. Your staged moves were discarded — start again from the current order.');
+    _rankingStage = null; renderRankingEditor();
+    return false;
+  }
+  const stage = _rankingStage; const before = placementSnapshot(levels);
+  const position = new Map(stage.order.map((id, i) => [id, i + 1]));
+  levels.forEach(l => { if(position.has(l.id)) l.placement = position.get(l.id); });
+  saveLevels(normalizeLevelOrder(levels));
+  const change = recordListChange('reordered', null, before);
+  const points = recalculatePointsAfterListChange('reorder_list');
+  addAudit({ id: uid(), action:'reorder_list', actor: getSession().username, target: null,
+    details:{ before: stage.baseline, after: rankedLevelIds(), moves: change ? change.displaced : [], points }, ts: now() });
+  _rankingStage = null;
+  return true;
+}
+
 /* swap placement helper */
 function swapPlacement(levelId, dir){
-  const levels = (getLevels()||[]).slice();
+  if(!requireCapability('reorder_list')) return;
+  const levels = (getLevels()||[]).slice().sort((x,y)=> (x.placement||999) - (y.placement||999));
+  const before = placementSnapshot(levels); const order = rankedLevelIds(levels);
   const idx = levels.findIndex(l => l.id === levelId);
   if(idx === -1) return;
   const newIdx = idx + dir;
   if(newIdx < 0 || newIdx >= levels.length) return;
   const a = levels[idx];
   const b = levels[newIdx];
+  if(!!a.legacy !== !!b.legacy){ alert('Use "Move to Legacy" / "Restore" to move a level across the Legacy boundary'); return; }
   const tmp = a.placement; a.placement = b.placement; b.placement = tmp;
   levels.sort((x,y)=> (x.placement||999) - (y.placement||999));
   saveLevels(levels);
-  addAudit({ id: uid(), action:'swap_placement', actor:getSession() && getSession().username, target: levelId, details:{ dir }, ts: now() });
+  const change = recordListChange('moved', levelId, before);
+  const points = recalculatePointsAfterListChange('swap_placement');
+  addAudit({ id: uid(), action:'swap_placement', actor:getSession() && getSession().username, target: levelId, details:{ dir, from: change && change.from, to: change && change.to, displaced: change ? change.displaced : [], before: order, after: rankedLevelIds(), points }, ts: now() });
 }
 
 /* tag edit helper */
 function openTagEditorForLevel(levelId){
-  const levels = getLevels(); const level = levels.find(l => l.id === levelId); if(!level){ alert('Level not found'); return; }
-  const tags = level.tags || [];
-  const newTags = prompt('Edit tags (comma separated)', (tags||[]).join(', '));
-  if(newTags === null) return;
-  level.tags = newTags.split(',').map(s=>s.trim()).filter(Boolean);
-  saveLevels(levels);
-  addAudit({ id: uid(), action:'edit_tags', actor:getSession() && getSession().username, target: levelId, details:{ tags: level.tags }, ts: now() });
-  renderRankingEditor(); renderMainList();
+  if(!requireCapability('reorder_list')) return;
+  const level = getLevels().find(l => l.id === levelId); if(!level){ alert('Level not found'); return; }
+  const unregistered = (level.tags || []).filter(t => !tagNames().includes(t));
+  const overlay = document.createElement('div'); overlay.id = 'tagEditorOverlay'; overlay.className = 'sync-overlay';
+  overlay.innerHTML = `
+    <div class="sync-panel card">
+      <h3 style="margin-top:0">Tags for "${escapeHTML(level.name)}"</h3>
+      <div class="tag-picker"></div>
+      ${unregistered.length ? `<div class="muted" style="font-size:13px;margin-top:10px">Not in the tag registry and will be dropped on save: ${escapeHTML(unregistered.join(', '))}</div>` : ''}
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px">
+        <button class="btn ghost small-btn" data-act="cancel">Cancel</button>
+        <button class="btn safe small-btn" data-act="save">Save</button>
+      </div>
+    </div>`;
+  const picker = overlay.querySelector('.tag-picker'); fillTagPicker(picker, level.tags || []);
+  overlay.onclick = e => { if(e.target === overlay) overlay.remove(); };
+  overlay.querySelector('[data-act="cancel"]').onclick = () => overlay.remove();
+  overlay.querySelector('[data-act="save"]').onclick = () => {
+    const levels = getLevels(); const target = levels.find(l => l.id === levelId); if(!target){ overlay.remove(); return; }
+    const from = target.tags || [];
+    target.tags = Array.from(picker.querySelectorAll('.tagbtn.selected')).map(b => b.dataset.tag);
+    saveLevels(levels);
+    addAudit({ id: uid(), action:'edit_tags', actor:getSession() && getSession().username, target: levelId, details:{ from, tags: target.tags }, ts: now() });
+    overlay.remove();
+    renderRankingEditor(); renderMainList(); renderAuditLog();
+  };
+  document.body.appendChild(overlay);
 }
 
-/* remove level */
+/* remove level; the audit entry keeps the whole level so it can be put back */
 function removeLevelById(id){
-  const levels = getLevels().filter(l => l.id !== id);
-  levels.sort((a,b) => (a.placement||999)-(b.placement||999)).forEach((l,i)=> l.placement = i+1);
+  const before = placementSnapshot();
+  const removed = getLevels().find(l => l.id === id);
+  deleteLevels([id]);
+  const levels = normalizeLevelOrder(getLevels());
   saveLevels(levels);
+  recordListChange('removed', id, before);
+  const points = recalculatePointsAfterListChange('remove_level');
+  if(removed){
+    const { updatedAt, ...level } = removed;
+    addAudit({ id: uid(), action:'remove_level', actor:getSession() && getSession().username, target: id, details:{ name: level.name, placement: level.placement, level, points }, ts: now() });
+  }
 }
 
-/* ----------------------- Banned users list ----------------------- */
+/* ----------------------- Points curve and recalculation ----------------------- */
+let _pointsPreview = null; // { config, plan } of the last dry run shown
+function readTiersConfigForm(area){
+  const int = (sel, fallback) => { const v = parseInt(area.querySelector(sel).value, 10); return isNaN(v) ? fallback : v; };
+  const mainEnd = Math.max(1, int('#tier-main-end', DEFAULT_TIERS_CONFIG.mainEnd));
+  return {
+    mainEnd,
+    extendedEnd: Math.max(mainEnd, int('#tier-extended-end', DEFAULT_TIERS_CONFIG.extendedEnd)),
+    extendedRule: area.querySelector('#tier-extended-rule').value,
+    extendedFlat: Math.max(0, int('#tier-extended-flat', DEFAULT_TIERS_CONFIG.extendedFlat))
+  };
+}
+function readPointsConfigForm(area){
+  const num = (sel, fallback) => { const v = parseFloat(area.querySelector(sel).value); return isNaN(v) ? fallback : v; };
+  return {
+    curve: area.querySelector('#points-curve').value,
+    max: Math.max(1, Math.round(num('#points-max', DEFAULT_POINTS_CONFIG.max))),
+    decay: Math.min(0.9999, Math.max(0.5, num('#points-decay', DEFAULT_POINTS_CONFIG.decay))),
+    min: Math.max(0, Math.round(num('#points-min', DEFAULT_POINTS_CONFIG.min))),
+    auto: area.querySelector('#points-auto').checked
+  };
+}
+function renderPointsConfig(){
+  const area = document.getElementById('points-config'); if(!area) return;
+  if(!showModSection(area, currentUserCan('manage_points'))) return;
+  const cfg = _pointsPreview ? _pointsPreview.config : getPointsConfig();
+  const tiers = _pointsPreview ? _pointsPreview.tiers : getTiersConfig();
+  area.innerHTML = `
+    <div style="display:flex;gap:8px;flex-wrap:wrap;align-items:center">
+      <select id="points-curve" class="input" style="width:auto">${Object.entries(POINTS_CURVES).map(([id, c]) => `<option value="${id}" ${cfg.curve === id ? 'selected' : ''}>${escapeHTML(c.label)}</option>`).join('')}</select>
+      <label class="muted exp-only">Max <input id="points-max" class="input" type="number" min="1" value="${cfg.max}" style="width:90px"></label>
+      <label class="muted exp-only">Decay <input id="points-decay" class="input" type="number" step="0.001" min="0.5" max="0.9999" value="${cfg.decay}" style="width:100px"></label>
+      <label class="muted exp-only">Min <input id="points-min" class="input" type="number" min="0" value="${cfg.min}" style="width:80px"></label>
+      <label class="muted"><input id="points-auto" type="checkbox" ${cfg.auto ? 'checked' : ''}> Recalculate after list changes</label>
+    </div>
+    <div style="display:flex;gap:8px;flex-wrap:wrap;align-items:center;margin-top:8px">
+      <label class="muted">Main ends at # <input id="tier-main-end" class="input" type="number" min="1" value="${tiers.mainEnd}" style="width:80px"></label>
+      <label class="muted">Extended ends at # <input id="tier-extended-end" class="input" type="number" min="1" value="${tiers.extendedEnd}" style="width:80px"></label>
+      <label class="muted">Extended points <select id="tier-extended-rule" class="input" style="width:auto"><option value="curve" ${tiers.extendedRule === 'curve' ? 'selected' : ''}>follow the curve</option><option value="flat" ${tiers.extendedRule === 'flat' ? 'selected' : ''}>flat</option></select></label>
+      <label class="muted tier-flat-only"><input id="tier-extended-flat" class="input" type="number" min="0" value="${tiers.extendedFlat}" style="width:70px"> pts</label>
+      <span class="muted">Legacy: 0 pts</span>
+    </div>
+    <div class="muted" id="points-sample" style="margin-top:8px"></div>
+    <div style="display:flex;gap:8px;margin-top:10px"><button id="points-preview" class="btn ghost small-btn">Preview (dry run)</button><button id="points-apply" class="btn small-btn">Save &amp; recalculate</button></div>
+    <div id="points-diff" style="margin-top:10px"></div>`;
+  const showSample = () => {
+    const draft = readPointsConfigForm(area);
+    area.querySelectorAll('.exp-only').forEach(el => el.classList.toggle('hidden', draft.curve !== 'exponential'));
+    area.querySelector('.tier-flat-only').classList.toggle('hidden', area.querySelector('#tier-extended-rule').value !== 'flat');
+    area.querySelector('#points-sample').textContent = [1, 10, 25, 50, 100, 150].map(p => `#${p}: ${pointsForPlacement(p, draft, readTiersConfigForm(area))}`).join(' • ');
+  };
+  area.querySelectorAll('input, select').forEach(el => el.addEventListener('input', () => { _pointsPreview = null; showSample(); area.querySelector('#points-diff').innerHTML = ''; }));
+  showSample();
+  if(_pointsPreview) renderPointsDiff(area.querySelector('#points-diff'), _pointsPreview.plan);
+
+  area.querySelector('#points-preview').onclick = () => {
+    const config = readPointsConfigForm(area); const tiers = readTiersConfigForm(area);
+    _pointsPreview = { config, tiers, plan: computePointsRecalculation(config, tiers) };
+    renderPointsDiff(area.querySelector('#points-diff'), _pointsPreview.plan);
+  };
+  area.querySelector('#points-apply').onclick = () => {
+    if(!requireCapability('manage_points')) return;
+    const config = readPointsConfigForm(area); const before = getPointsConfig();
+    const tiers = readTiersConfigForm(area); const tiersBefore = getTiersConfig();
+    const plan = computePointsRecalculation(config, tiers);
+    if(!confirm(`Save the points settings and update ${plan.changes.length} player(s)?`)) return;
+    if(pointsConfigKey(before) !== pointsConfigKey(config)){
+      saveSetting('points', config);
+      addAudit({ id: uid(), action:'edit_points_curve', actor: getSession().username, target: null, details:{ from: before, to: config }, ts: now() });
+    }
+    if(JSON.stringify(tiersBefore) !== JSON.stringify(tiers)){
+      saveSetting('tiers', tiers);
+      addAudit({ id: uid(), action:'edit_tiers', actor: getSession().username, target: null, details:{ from: tiersBefore, to: tiers }, ts: now() });
+    }
+    const applied = applyPointsRecalculation(config, 'manual', tiers);
+    _pointsPreview = null;
+    renderPointsConfig(); renderRankingEditor(); renderAuditLog(); renderUserManagementArea();
+    alert(applied.changes.length ? `Updated points for ${applied.changes.length} player(s)` : 'All points were already up to date');
+  };
+}
+function pointsConfigKey(cfg){ return ['curve','max','decay','min','auto'].map(k => String(cfg[k])).join('|'); }
+function renderPointsDiff(out, plan){
+  if(!plan.changes.length){ out.innerHTML = '<div class="muted">No changes — every player\'s points already match.</div>'; return; }
+  out.innerHTML = `<div class="muted" style="margin-bottom:6px">${plan.changes.length} player(s) would change</div>` + plan.changes.slice(0, 100).map(c => {
+    const delta = c.to - c.from;
+    return `<div class="player-card"><div><strong>${escapeHTML(c.username)}</strong><div class="muted" style="font-size:12px">${c.records.slice(0, 5).map(r => `${escapeHTML(r.levelName || r.levelId)}: ${r.from} → ${r.to}`).join(' • ')}${c.records.length > 5 ? ` • +${c.records.length - 5} more` : ''}</div></div><div>${c.from} → <strong>${c.to}</strong> <span class="${delta >= 0 ? 'delta-up' : 'delta-down'}">(${delta >= 0 ? '+' : ''}${delta})</span></div></div>`;
+  }).join('');
+}
+
+/* ----------------------- Sanctioned users list ----------------------- */
 function renderBannedUsersList(){
-  const out = document.getElementById('banned-users-list'); if(!out) return; out.innerHTML = '';
-  const users = (getUsers()||[]).filter(u => u.bannedUntil);
-  if(!users.length){ out.innerHTML = '<div class="muted">No banned users</div>'; return; }
+  const out = document.getElementById('banned-users-list'); if(!out) return;
+  if(!showModSection(out, currentUserCan('ban_users'))) return;
+  out.innerHTML = '';
+  const users = (getUsers()||[]).filter(u => userSanctions(u).length)
+    .sort((a,b) => (!!(activeSanction(b,'ban') || activeSanction(b,'restriction')) - !!(activeSanction(a,'ban') || activeSanction(a,'restriction'))) || offenceCount(b) - offenceCount(a));
+  if(!users.length){ out.innerHTML = '<div class="muted">No sanctions on record</div>'; return; }
   users.forEach(u => {
+    const item = document.createElement('div'); item.className = 'player-card sanction-card';
+    const active = userSanctions(u).filter(isSanctionActive);
+    item.innerHTML = `<div style="flex:1">
+        <div><strong>${escapeHTML(u.username)}</strong> ${sanctionBadgeHTML(u)}</div>
+        ${active.map(x => `<div class="muted" style="font-size:13px">${escapeHTML(SANCTION_TYPES[x.type])} until ${escapeHTML(formatSanctionEnd(x))} • By: ${escapeHTML(x.issuedBy || '-')} • ${escapeHTML(x.reason || '')} <button class="btn small-btn lift" data-id="${escapeHTML(x.id)}">Lift</button></div>`).join('')}
+        <details class="sanction-history"><summary>History (${userSanctions(u).length})</summary>${sanctionHistoryHTML(u)}</details>
+      </div>`;
+    item.querySelectorAll('.lift').forEach(b => { b.onclick = () => {
+      if(!requireCapability('ban_users')) return;
+      if(hasModAccess(u) && !outranks(getCurrentUser(), u)){ alert('You cannot lift sanctions on someone with permissions you do not have'); return; }
+      const reason = prompt('Reason for lifting this early:', ''); if(reason === null) return;
+      const x = liftSanction(u.id, b.dataset.id, reason.trim(), 'lifted'); if(!x) return;
+      addAudit({ id: uid(), action: x.type === 'ban' ? 'unban' : 'lift_restriction', actor: getSession().username, target: u.username, details:{ sanction: x.id, reason: reason.trim() }, ts: now() });
+      renderBannedUsersList(); renderAppealQueue(); renderAuditLog();
+    }; });
+    out.appendChild(item);
+  });
+}
+function sanctionHistoryHTML(user){
+  return userSanctions(user).map(x => {
+    const state = x.endedAt ? `${{ appeal_accepted:'overturned on appeal', reverted:'reverted' }[x.endReason] || 'lifted'} by ${x.endedBy || '-'} ${formatDate(x.endedAt)}` : (isSanctionActive(x) ? 'active' : (x.type === 'warning' ? 'warning' : 'expired'));
+    const appeal = x.appeal ? ` • appeal ${x.appeal.status}${x.appeal.decisionReason ? ': ' + x.appeal.decisionReason : ''}` : '';
+    return `<div class="sanction-entry"><strong>${escapeHTML(SANCTION_TYPES[x.type])}</strong> <span class="muted">${escapeHTML(formatDate(x.issuedAt))} by ${escapeHTML(x.issuedBy || '-')} • until ${escapeHTML(formatSanctionEnd(x))} • ${escapeHTML(state + appeal)}</span><div>${escapeHTML(x.reason || '')}</div></div>`;
+  }).join('');
+}
+
+/* ----------------------- Appeal queue ----------------------- */
+function renderAppealQueue(){
+  const out = document.getElementById('appeal-queue'); if(!out) return;
+  if(!showModSection(out, currentUserCan('ban_users'))) return;
+  const appeals = pendingAppeals();
+  if(!appeals.length){ out.innerHTML = '<div class="muted">No pending appeals</div>'; return; }
+  out.innerHTML = '';
+  appeals.forEach(({ user, sanction }) => {
+    const item = document.createElement('div'); item.className = 'player-card sanction-card';
+    item.innerHTML = `<div style="flex:1">
+        <div><strong>${escapeHTML(user.username)}</strong> ${sanctionBadgeHTML(user)} <span class="muted" style="font-size:13px">appealed ${escapeHTML(formatDate(sanction.appeal.submittedAt))}</span></div>
+        <div class="muted" style="font-size:13px">${escapeHTML(SANCTION_TYPES[sanction.type])} until ${escapeHTML(formatSanctionEnd(sanction))} by ${escapeHTML(sanction.issuedBy || '-')}: ${escapeHTML(sanction.reason || '')}</div>
+        <blockquote class="appeal-text">${escapeHTML(sanction.appeal.text)}</blockquote>
+        <details class="sanction-history"><summary>History (${userSanctions(user).length})</summary>${sanctionHistoryHTML(user)}</details>
+      </div>
+      <div style="display:flex;gap:8px;align-items:flex-start"><button class="btn safe small-btn accept">Accept</button><button class="btn danger small-btn deny">Deny</button></div>`;
+    item.querySelector('.accept').onclick = () => { if(decideAppeal(user.id, sanction.id, true)){ renderAppealQueue(); renderBannedUsersList(); renderAuditLog(); } };
+    item.querySelector('.deny').onclick = () => { if(decideAppeal(user.id, sanction.id, false)){ renderAppealQueue(); renderBannedUsersList(); renderAuditLog(); } };
+    out.appendChild(item);
+  });
+}
+
+/* ----------------------- Sync conflicts ----------------------- */
+/* Concurrent edits to placements/points are merged last-writer-wins by storage.js;
+   the losing value is listed here so a mod can put it back if it was the right one. */
+function describeConflictRecord(c){
+  if(c.table === 'levels'){ const l = getLevels().find(x => x.id === c.recordId); return l ? `Level "${l.name}"` : `Level ${c.recordId}`; }
+  if(c.table === 'users'){ const u = getUsers().find(x => x.id === c.recordId); return u ? `Player ${u.username}` : `Player ${c.recordId}`; }
+  return `${c.table} ${c.recordId}`;
+}
+function formatConflictValue(v){
+  if(Array.isArray(v)) return `${v.length} record(s)`;
+  if(v === undefined || v === null) return '—';
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+const CONFLICT_CAPABILITIES = { levels:'reorder_list', users:'approve_completions' };
+function renderSyncConflicts(){
+  const out = document.getElementById('sync-conflicts'); if(!out) return; out.innerHTML = '';
+  const conflicts = (typeof getSyncConflicts === 'function') ? getSyncConflicts() : [];
+  if(!conflicts.length){ out.innerHTML = '<div class="muted">No conflicting edits</div>'; return; }
+  conflicts.forEach(c => {
+    const kept = c.winner === 'local' ? c.local : c.remote;
+    const lost = c.winner === 'local' ? c.remote : c.local;
     const item = document.createElement('div'); item.className = 'player-card';
-    const left = document.createElement('div'); left.innerHTML = `<strong>${escapeHTML(u.username)}</strong> <div class="muted" style="font-size:13px">Until: ${u.bannedUntil===9999999999999?'Permanent':formatDate(u.bannedUntil)} • By: ${escapeHTML(u.bannedBy||'-')}</div>`;
-    const right = document.createElement('div');
-    const unban = document.createElement('button'); unban.className = 'btn small-btn'; unban.textContent = 'Unban'; unban.onclick = () => { if(!confirm('Unban user?')) return; delete u.bannedUntil; delete u.banReason; delete u.bannedBy; delete u.bannedAt; saveUsers(getUsers()); addAudit({ id: uid(), action:'unban', actor:getSession() && getSession().username, target: u.username, details:{}, ts: now() }); renderBannedUsersList(); renderAuditLog(); };
-    right.appendChild(unban);
-    item.appendChild(left); item.appendChild(right);
+    item.innerHTML = `<div><strong>${escapeHTML(describeConflictRecord(c))}</strong> — ${escapeHTML(c.field)}<div class="muted" style="font-size:13px">Kept ${escapeHTML(c.winner === 'local' ? 'this browser' : 'the other edit')}: <strong>${escapeHTML(formatConflictValue(kept))}</strong> • Overwritten: <strong>${escapeHTML(formatConflictValue(lost))}</strong> • ${formatDate(c.at)}</div></div><div style="display:flex;gap:8px"><button class="btn small-btn keep">Keep</button><button class="btn ghost small-btn restore">Use overwritten</button></div>`;
+    item.querySelector('.keep').onclick = () => { if(!requireCapability(CONFLICT_CAPABILITIES[c.table] || 'manage_roles')) return; resolveSyncConflict(c.id, false); renderSyncConflicts(); };
+    item.querySelector('.restore').onclick = () => {
+      if(!requireCapability(CONFLICT_CAPABILITIES[c.table] || 'manage_roles')) return;
+      if(!confirm(`Set ${c.field} back to ${formatConflictValue(lost)}?`)) return;
+      const before = c.table === 'levels' ? placementSnapshot() : null;
+      resolveSyncConflict(c.id, true);
+      if(before && c.field === 'placement') recordListChange('moved', c.recordId, before);
+      const points = c.table === 'levels' ? recalculatePointsAfterListChange('resolve_conflict') : null;
+      addAudit({ id: uid(), action:'resolve_conflict', actor:getSession() && getSession().username, target: c.recordId, details:{ table: c.table, field: c.field, value: lost, points }, ts: now() });
+      renderSyncConflicts(); renderRankingEditor(); renderAuditLog();
+    };
     out.appendChild(item);
   });
 }
 
 /* ----------------------- Audit log ----------------------- */
+/* Audit explorer: filters persist across live re-renders; exports cover every entry
+   matching the current filters, not just the page on screen. */
+const AUDIT_PAGE_SIZE = 50;
+const _auditFilters = { action:'', actor:'', target:'', from:'', to:'', q:'', page:1 };
+function auditDetailsText(e){ return JSON.stringify(e.details || {}); }
+function filterAuditEntries(entries, f){
+  const from = f.from ? new Date(f.from + 'T00:00:00').getTime() : null;
+  const to = f.to ? new Date(f.to + 'T23:59:59.999').getTime() : null;
+  const actor = f.actor.trim().toLowerCase(); const target = f.target.trim().toLowerCase(); const q = f.q.trim().toLowerCase();
+  return entries.filter(e =>
+    (!f.action || e.action === f.action) &&
+    (!actor || String(e.actor || '').toLowerCase().includes(actor)) &&
+    (!target || String(e.target || '').toLowerCase().includes(target)) &&
+    (from === null || (e.ts || 0) >= from) && (to === null || (e.ts || 0) <= to) &&
+    (!q || String(e.id).toLowerCase() === q || auditDetailsText(e).toLowerCase().includes(q))
+  ).sort((a,b) => (b.ts||0) - (a.ts||0));
+}
+// Cells a spreadsheet would read as a formula get a leading ' (names, reasons and appeals are user text)
+function csvCell(v){
+  let str = v === null || v === undefined ? '' : String(v);
+  if(/^[=+\-@\t\r]/.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+function auditToCSV(entries){
+  return [['id','time','action','actor','target','details'].join(',')].concat(entries.map(e =>
+    [e.id, e.ts ? new Date(e.ts).toISOString() : '', e.action, e.actor, e.target, auditDetailsText(e)].map(csvCell).join(','))).join('\r\n');
+}
+function downloadText(filename, mime, text){
+  const a = document.createElement('a'); a.href = URL.createObjectURL(new Blob([text], { type: mime })); a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove(); setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+function exportAuditLog(format){
+  if(!requireCapability('view_audit')) return;
+  const f = Object.assign({}, _auditFilters); delete f.page;
+  const entries = filterAuditEntries(getAudit() || [], _auditFilters);
+  const stamp = new Date().toISOString().slice(0,10);
+  if(format === 'csv') downloadText(`audit-${stamp}.csv`, 'text/csv', auditToCSV(entries));
+  else downloadText(`audit-${stamp}.json`, 'application/json', JSON.stringify({ exportedAt: now(), exportedBy: getSession().username, filters: f, count: entries.length, entries }, null, 2));
+  addAudit({ id: uid(), action:'export_audit', actor: getSession().username, target: null, details:{ format, filters: f, count: entries.length }, ts: now() });
+}
 function renderAuditLog(){
-  const out = document.getElementById('mod-audit-log'); if(!out) return; out.innerHTML = '';
-  const logs = (getAudit()||[]).slice().sort((a,b)=> (b.ts||0)-(a.ts||0));
-  if(!logs.length){ out.innerHTML = '<div class="muted">No audit entries</div>'; return; }
-  logs.slice(0,50).forEach(e => {
-    const item = document.createElement('div'); item.className = 'card'; item.style.margin = '6px 0'; item.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center"><div><strong>${escapeHTML(e.action)}</strong> — ${escapeHTML(e.actor||'')}</div><div class="muted">${formatDate(e.ts)}</div></div><div style="margin-top:6px;color:var(--muted);font-size:13px">${escapeHTML(JSON.stringify(e.details || {}))}</div>`;
-    out.appendChild(item);
+  const out = document.getElementById('mod-audit-log'); if(!out) return;
+  if(!showModSection(out, currentUserCan('view_audit'))) return;
+  const all = getAudit() || [];
+  if(!out.querySelector('.audit-toolbar')){
+    out.innerHTML = `<div class="audit-toolbar stats-toolbar">
+        <select class="input" data-f="action"></select>
+        <input class="input" data-f="actor" placeholder="Actor">
+        <input class="input" data-f="target" placeholder="Target">
+        <label class="muted">From <input class="input" type="date" data-f="from"></label>
+        <label class="muted">To <input class="input" type="date" data-f="to"></label>
+        <input class="input" data-f="q" placeholder="Search details">
+        <button class="btn ghost small-btn" data-export="csv">Export CSV</button>
+        <button class="btn ghost small-btn" data-export="json">Export JSON</button>
+      </div>
+      <div class="audit-summary muted"></div>
+      <div class="audit-results"></div>
+      <div class="stats-pager audit-pager"></div>`;
+    out.querySelectorAll('[data-f]').forEach(el => {
+      el.value = _auditFilters[el.dataset.f];
+      el.addEventListener(el.tagName === 'SELECT' || el.type === 'date' ? 'change' : 'input', () => { _auditFilters[el.dataset.f] = el.value; _auditFilters.page = 1; renderAuditLog(); });
+    });
+    out.querySelectorAll('[data-export]').forEach(b => b.onclick = () => exportAuditLog(b.dataset.export));
+  }
+  const actions = Array.from(new Set(all.map(e => e.action).filter(Boolean).concat(_auditFilters.action ? [_auditFilters.action] : []))).sort();
+  const sel = out.querySelector('[data-f="action"]');
+  sel.innerHTML = `<option value="">All actions</option>${actions.map(a => `<option value="${escapeHTML(a)}">${escapeHTML(a)}</option>`).join('')}`; sel.value = _auditFilters.action;
+
+  const logs = filterAuditEntries(all, _auditFilters);
+  const pages = Math.max(1, Math.ceil(logs.length / AUDIT_PAGE_SIZE));
+  _auditFilters.page = Math.min(_auditFilters.page, pages);
+  out.querySelector('.audit-summary').textContent = `${logs.length} of ${all.length} entries`;
+  const results = out.querySelector('.audit-results'); results.innerHTML = '';
+  if(!logs.length) results.innerHTML = `<div class="muted">${all.length ? 'No entries match these filters' : 'No audit entries'}</div>`;
+  const reverts = auditReverts(all); const byId = new Map(all.map(e => [e.id, e]));
+  logs.slice((_auditFilters.page - 1) * AUDIT_PAGE_SIZE, _auditFilters.page * AUDIT_PAGE_SIZE).forEach(e => {
+    const spec = REVERSIBLE_ACTIONS[e.action]; const revert = reverts.get(e.id); const original = e.action === 'revert' && byId.get(e.details.of);
+    const link = revert ? `<div class="audit-link muted">Reverted by ${escapeHTML(revert.actor || '')} ${formatDate(revert.ts)}</div>`
+      : (e.action === 'revert' ? `<div class="audit-link muted">Reverts ${escapeHTML(e.details.action || '')}${original ? ` by ${escapeHTML(original.actor || '')} ${formatDate(original.ts)}` : ''} <a href="#" class="audit-goto" data-id="${escapeHTML(e.details.of)}">show original</a></div>` : '');
+    const item = document.createElement('div'); item.className = 'card' + (revert ? ' audit-reverted' : ''); item.style.margin = '6px 0'; item.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center;gap:8px"><div><strong>${escapeHTML(e.action)}</strong> — ${escapeHTML(e.actor||'')}${e.target ? ` <span class="muted">→ ${escapeHTML(e.target)}</span>` : ''}</div><div style="display:flex;gap:8px;align-items:center"><span class="muted">${e.ts ? formatDate(e.ts) : 'unknown time'}</span>${canRevertAuditEntry(e, reverts) && currentUserCan(spec.capability) ? `<button class="btn ghost small-btn audit-revert" title="${escapeHTML(spec.label)}">Revert</button>` : ''}</div></div><div style="margin-top:6px;color:var(--muted);font-size:13px">${escapeHTML(auditDetailsText(e))}</div>${link}`;
+    const btn = item.querySelector('.audit-revert'); if(btn) btn.onclick = () => { if(revertAuditEntry(e.id)) renderAuditLog(); };
+    const go = item.querySelector('.audit-goto'); if(go) go.onclick = ev => { ev.preventDefault(); Object.assign(_auditFilters, { action:'', actor:'', target:'', from:'', to:'', q: e.details.of, page:1 }); out.querySelectorAll('[data-f]').forEach(el => { el.value = _auditFilters[el.dataset.f]; }); renderAuditLog(); };
+    results.appendChild(item);
   });
+  const pager = out.querySelector('.audit-pager');
+  pager.innerHTML = pages > 1 ? `<button class="btn ghost small-btn" data-dir="-1" ${_auditFilters.page <= 1 ? 'disabled' : ''}>← Prev</button><span class="muted">Page ${_auditFilters.page} of ${pages}</span><button class="btn ghost small-btn" data-dir="1" ${_auditFilters.page >= pages ? 'disabled' : ''}>Next →</button>` : '';
+  pager.querySelectorAll('button').forEach(b => b.onclick = () => { _auditFilters.page += parseInt(b.dataset.dir, 10); renderAuditLog(); });
+}
+
+/* ----------------------- Reverting audit entries ----------------------- */
+/* Each reversible action says what capability undoing it needs, whether an entry carries
+   enough before-state (older entries may not), what would make the revert unsafe now, and
+   how to apply it. A revert is its own audit entry pointing back through details.of. */
+function sameList(a, b){ return (a || []).join('\u0000') === (b || []).join('\u0000'); }
+function sanctionFromEntry(e){
+  const users = getUsers(); const user = users.find(u => u.username === e.target);
+  const sanction = user && (user.sanctions || []).find(x => x.id === e.details.sanction);
+  return { users, user, sanction };
+}
+function sanctionRevertProblem(user){
+  if(!user) return 'That user no longer exists';
+  if(hasModAccess(user) && !outranks(getCurrentUser(), user)) return 'You cannot change sanctions on someone with permissions you do not have';
+  return null;
+}
+function revertListOrder(e){
+  const levels = getLevels(); const before = placementSnapshot(levels);
+  const position = new Map(e.details.before.map((id, i) => [id, i + 1]));
+  levels.forEach(l => { if(position.has(l.id)) l.placement = position.get(l.id); });
+  saveLevels(normalizeLevelOrder(levels));
+  recordListChange(e.action === 'swap_placement' ? 'moved' : 'reordered', e.action === 'swap_placement' ? e.target : null, before);
+  return { order: e.details.before, points: recalculatePointsAfterListChange('revert') };
+}
+const REVERSIBLE_ACTIONS = {
+  swap_placement: { capability:'reorder_list', label:'Undo this move',
+    eligible: d => Array.isArray(d.before) && Array.isArray(d.after),
+    problem: e => sameList(rankedLevelIds(), e.details.after) ? null : 'The list has changed since — revert the later changes first',
+    apply: revertListOrder },
+  reorder_list: { capability:'reorder_list', label:'Restore the previous order',
+    eligible: d => Array.isArray(d.before) && Array.isArray(d.after),
+    problem: e => sameList(rankedLevelIds(), e.details.after) ? null : 'The list has changed since — revert the later changes first',
+    apply: revertListOrder },
+  remove_level: { capability:'reorder_list', label:'Put the level back',
+    eligible: d => !!(d.level && d.placement),
+    problem: e => getLevels().some(l => l.id === e.target) ? 'That level is already on the list' : null,
+    apply: e => {
+      const levels = getLevels(); const before = placementSnapshot(levels);
+      levels.push(Object.assign({}, e.details.level, { placement: e.details.placement - 0.5 })); // back above whatever holds its old spot
+      saveLevels(normalizeLevelOrder(levels));
+      const change = recordListChange('placed', e.target, before);
+      return { placement: change ? change.to : e.details.placement, points: recalculatePointsAfterListChange('revert') };
+    } },
+  edit_tags: { capability:'reorder_list', label:'Restore the previous tags',
+    eligible: d => Array.isArray(d.from) && Array.isArray(d.tags),
+    problem: e => { const l = getLevels().find(x => x.id === e.target); return !l ? 'That level no longer exists' : (sameList(l.tags, e.details.tags) ? null : 'The tags were edited again since'); },
+    apply: e => { const levels = getLevels(); levels.find(x => x.id === e.target).tags = e.details.from.slice(); saveLevels(levels); return { tags: e.details.from }; } },
+  ban: { capability:'ban_users', label:'Lift this ban',
+    eligible: d => !!d.sanction,
+    problem: e => { const { user, sanction } = sanctionFromEntry(e); return sanctionRevertProblem(user) || (sanction && isSanctionActive(sanction) ? null : 'This ban is no longer active'); },
+    apply: e => { liftSanction(sanctionFromEntry(e).user.id, e.details.sanction, 'Reverted from the audit log', 'reverted'); return { sanction: e.details.sanction }; } },
+  restrict: { capability:'ban_users', label:'Lift this restriction',
+    eligible: d => !!d.sanction,
+    problem: e => { const { user, sanction } = sanctionFromEntry(e); return sanctionRevertProblem(user) || (sanction && isSanctionActive(sanction) ? null : 'This restriction is no longer active'); },
+    apply: e => { liftSanction(sanctionFromEntry(e).user.id, e.details.sanction, 'Reverted from the audit log', 'reverted'); return { sanction: e.details.sanction }; } },
+  unban: { capability:'ban_users', label:'Reinstate the ban',
+    eligible: d => !!d.sanction,
+    problem: e => reinstateProblem(e),
+    apply: e => reinstateSanction(e) },
+  lift_restriction: { capability:'ban_users', label:'Reinstate the restriction',
+    eligible: d => !!d.sanction,
+    problem: e => reinstateProblem(e),
+    apply: e => reinstateSanction(e) },
+  approve_completion: { capability:'approve_completions', label:'Remove the record and its points',
+    eligible: d => !!(d.submitter && d.level && d.youtube),
+    problem: e => { const u = getUsers().find(x => x.username === e.details.submitter); return !u ? 'That player no longer exists' : ((u.completedRecords || []).some(r => r.levelId === e.details.level && r.youtube === e.details.youtube) ? null : 'The record is already gone'); },
+    apply: e => {
+      const users = getUsers(); const user = users.find(x => x.username === e.details.submitter);
+      const idx = user.completedRecords.findIndex(r => r.levelId === e.details.level && r.youtube === e.details.youtube);
+      const [record] = user.completedRecords.splice(idx, 1); const awarded = record.awardedPoints || 0;
+      // the level still counts once if the player has another full completion of it
+      const other = user.completedRecords.find(r => r.levelId === record.levelId && isFullCompletion(r));
+      if(other && awarded && !other.awardedPoints) other.awardedPoints = awarded;
+      const deducted = other && awarded ? 0 : awarded;
+      user.points = Math.max(0, (user.points || 0) - deducted);
+      saveUsers(users);
+      // back into the queue: the approval was the mistake, not necessarily the submission
+      const subs = getSubs(); const sub = subs.find(x => x.id === e.target);
+      if(sub && applySubmissionTransition(sub, 'pending', 'Approval reverted', getSession().username, true)) saveSubs(subs);
+      return { submitter: user.username, points: -deducted };
+    } }
+};
+function reinstateProblem(e){
+  const { user, sanction } = sanctionFromEntry(e);
+  const problem = sanctionRevertProblem(user); if(problem) return problem;
+  if(!sanction || !sanction.endedAt) return 'This sanction is already active';
+  if(sanction.until !== PERMANENT_SANCTION && sanction.until <= Date.now()) return 'It would have expired by now anyway';
+  return null;
+}
+function reinstateSanction(e){
+  const { users, sanction } = sanctionFromEntry(e);
+  ['endedAt','endedBy','endReason','endNote'].forEach(k => { delete sanction[k]; });
+  saveUsers(users);
+  return { sanction: sanction.id };
+}
+// original entry id -> the revert entry that undid it
+function auditReverts(entries){
+  const map = new Map();
+  entries.forEach(e => { if(e.action === 'revert' && e.details && e.details.of) map.set(e.details.of, e); });
+  return map;
+}
+function canRevertAuditEntry(e, reverts){
+  const spec = REVERSIBLE_ACTIONS[e.action];
+  return !!(spec && e.details && spec.eligible(e.details) && !reverts.has(e.id));
+}
+function revertAuditEntry(entryId){
+  const entries = getAudit() || []; const e = entries.find(x => x.id === entryId); if(!e) return false;
+  const spec = REVERSIBLE_ACTIONS[e.action];
+  if(!spec || !requireCapability(spec.capability)) return false;
+  if(!canRevertAuditEntry(e, auditReverts(entries))){ alert('This entry cannot be reverted (already reverted, or recorded before reverts were supported)'); return false; }
+  const problem = spec.problem(e);
+  if(problem){ alert(`Cannot revert: ${problem}`); return false; }
+  if(!confirm(`${spec.label}? (${e.action} by ${e.actor || 'unknown'}, ${e.ts ? formatDate(e.ts) : 'unknown time'})`)) return false;
+  const details = spec.apply(e);
+  addAudit({ id: uid(), action:'revert', actor: getSession().username, target: e.target, details: Object.assign({ of: e.id, action: e.action }, details), ts: now() });
+  return true;
+}
+
+/* ----------------------- Backup and restore ----------------------- */
+/* Head admin only. The archive format, validation, diff and the all-or-nothing write
+   live in storage.js; this is the export button and the restore preview. */
+let _pendingRestore = null; // { archive, fileName } picked but not applied yet
+function isHeadAdmin(user){ return !!user && user.role === LOCKED_ROLE_ID; }
+function backupCounts(archive){ const counts = {}; Object.entries(archive.tables).forEach(([t, rows]) => { counts[t] = rows.length; }); return counts; }
+function backupRecordLabel(r){ return r.username || r.name || r.levelName || r.action || r.id; }
+// A redacted archive carries no passwords: accounts it adds (or that have none here) come back without one
+function passwordlessAfterRestore(diff){
+  return diff.users.added.concat(diff.users.changed.map(c => c.row)).filter(u => !u.password).map(u => u.username || u.id);
+}
+// Restoring must leave the person doing it signed in as a head admin
+function restoreLockoutProblem(archive){
+  const me = getCurrentUser(); const users = (archive.tables && Array.isArray(archive.tables.users)) ? archive.tables.users : [];
+  const mine = users.find(u => u && u.username === me.username);
+  if(!mine || mine.role !== LOCKED_ROLE_ID) return `The archive has no head admin account named ${me.username} — restoring it would lock you out`;
+  if(!mine.password && !(archive.redacted && mine.id === me.id)) return `Your account in the archive has no password — restoring it would lock you out`;
+  return null;
+}
+function exportBackup(redact){
+  if(!isHeadAdmin(getCurrentUser())){ alert('Only the head admin can export backups'); return; }
+  const archive = createBackup({ redact });
+  downloadText(`demonlist-backup-${new Date(archive.createdAt).toISOString().slice(0,10)}${redact ? '-redacted' : ''}.json`, 'application/json', JSON.stringify(archive, null, 2));
+  addAudit({ id: uid(), action:'export_backup', actor: getSession().username, target: null, details:{ redacted: !!redact, counts: backupCounts(archive) }, ts: now() });
+}
+function renderBackupArea(){
+  const out = document.getElementById('backup-area'); if(!out) return;
+  if(!showModSection(out, isHeadAdmin(getCurrentUser()))) return;
+  out.innerHTML = `
+    <div class="backup-row"><label class="muted"><input type="checkbox" id="backup-redact" checked> Leave out passwords, reset codes and profile pictures</label><button class="btn small-btn" id="backup-export">Download backup</button></div>
+    <div class="backup-row"><input type="file" id="backup-file" class="input" accept=".json,application/json"></div>
+    <div id="backup-preview"></div>`;
+  out.querySelector('#backup-export').onclick = () => exportBackup(out.querySelector('#backup-redact').checked);
+  out.querySelector('#backup-file').onchange = function(){
+    const file = this.files && this.files[0]; if(!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let archive = null;
+      try { archive = JSON.parse(reader.result); }
+      catch(e){ _pendingRestore = null; document.getElementById('backup-preview').innerHTML = `<div class="backup-errors">Not valid JSON: ${escapeHTML(e.message)}</div>`; return; }
+      _pendingRestore = { archive, fileName: file.name };
+      renderRestorePreview();
+    };
+    reader.readAsText(file);
+  };
+}
+function renderRestorePreview(){
+  const box = document.getElementById('backup-preview'); if(!box || !_pendingRestore) return;
+  const { archive, fileName } = _pendingRestore;
+  const check = validateBackup(archive);
+  const lockout = check.ok ? restoreLockoutProblem(archive) : null;
+  const list = (items, cls) => items.length ? `<ul class="${cls}">${items.slice(0, 20).map(x => `<li>${escapeHTML(x)}</li>`).join('')}${items.length > 20 ? `<li>…and ${items.length - 20} more</li>` : ''}</ul>` : '';
+  const head = `<div class="muted" style="margin:8px 0">${escapeHTML(fileName)}${archive && archive.createdAt ? ` • made ${escapeHTML(formatDate(archive.createdAt))}` : ''}${archive && archive.createdBy ? ` by ${escapeHTML(archive.createdBy)}` : ''}${archive && archive.redacted ? ' • redacted: current passwords and profile pictures are kept' : ''}</div>`;
+  if(!check.ok || lockout){ box.innerHTML = head + `<div class="backup-errors">This archive can't be restored:</div>` + list(lockout ? [lockout] : check.errors, 'backup-errors') + list(check.warnings, 'muted'); return; }
+  const diff = diffBackup(archive);
+  const total = Object.values(diff).reduce((n, d) => n + d.added.length + d.changed.length + d.removed.length, 0);
+  const passwordless = passwordlessAfterRestore(diff);
+  box.innerHTML = head + list(check.warnings, 'muted') +
+    (passwordless.length ? `<div class="backup-errors">${passwordless.length} account(s) will have no password and can't log in until given a reset code:</div>` + list(passwordless, 'backup-errors') : '') + Object.entries(diff).map(([table, d]) => `<details class="backup-diff"><summary><strong>${escapeHTML(table)}</strong> <span class="diff-added">+${d.added.length} added</span> <span class="diff-changed">~${d.changed.length} changed</span> <span class="diff-removed">−${d.removed.length} removed</span></summary>
+      ${d.added.map(r => `<div class="diff-added">+ ${escapeHTML(backupRecordLabel(r))}</div>`).join('')}
+      ${d.changed.map(c => `<div class="diff-changed">~ ${escapeHTML(backupRecordLabel(c.row))} <span class="muted">(${escapeHTML(c.fields.join(', '))})</span></div>`).join('')}
+      ${d.removed.map(r => `<div class="diff-removed">− ${escapeHTML(backupRecordLabel(r))}</div>`).join('')}
+    </details>`).join('') +
+    `<div class="backup-row" style="margin-top:10px">${total ? '<button class="btn danger small-btn" id="backup-restore">Restore this backup</button>' : '<span class="muted">The archive matches the current data.</span>'}<button class="btn ghost small-btn" id="backup-cancel">Cancel</button></div>`;
+  document.getElementById('backup-cancel').onclick = () => { _pendingRestore = null; box.innerHTML = ''; const f = document.getElementById('backup-file'); if(f) f.value = ''; };
+  const go = document.getElementById('backup-restore'); if(go) go.onclick = () => applyRestore();
+}
+function applyRestore(){
+  if(!_pendingRestore || !isHeadAdmin(getCurrentUser())) return false;
+  const { archive } = _pendingRestore;
+  const lockout = restoreLockoutProblem(archive); if(lockout){ alert(lockout); return false; }
+  const passwordless = passwordlessAfterRestore(diffBackup(archive));
+  if(!confirm(`Replace users, levels, submissions, audit log and tags with this backup? Records not in the archive are deleted.${passwordless.length ? ` ${passwordless.length} account(s) will have no password.` : ''}`)) return false;
+  let diff;
+  try { diff = restoreBackup(archive); }
+  catch(e){ alert(`Restore failed and nothing was changed: ${e.message}`); return false; }
+  const summary = {}; Object.entries(diff).forEach(([t, d]) => { summary[t] = { added: d.added.length, changed: d.changed.length, removed: d.removed.length }; });
+  addAudit({ id: uid(), action:'restore_backup', actor: getSession().username, target: null, details:{ createdAt: archive.createdAt, createdBy: archive.createdBy, redacted: !!archive.redacted, changes: summary }, ts: now() });
+  _pendingRestore = null;
+  renderBackupArea(); renderAuditLog();
+  reportRestorePush();
+  return true;
+}
+// The local restore is all-or-nothing; the push to the server is not, so say what didn't arrive
+async function reportRestorePush(){
+  const box = document.getElementById('backup-preview');
+  if(box) box.innerHTML = '<div class="muted">Restored in this browser. Sending it to the server…</div>';
+  const unsent = await pushRestoredBackup();
+  if(!unsent.length){ if(box) box.innerHTML = `<div class="muted">${getSyncStatus().state === 'local' ? 'Backup restored.' : 'Backup restored and saved to the server.'}</div>`; return; }
+  const lines = unsent.map(u => `${u.table}: ${u.pending} record(s) not sent${u.failed ? ` (${u.failed} failed)` : ''}${u.error ? ` — ${u.error}` : ''}`);
+  if(box) box.innerHTML = `<div class="backup-errors">Restored in this browser, but the server is only partly restored until these are sent. Retry them from the sync status panel.</div><ul class="backup-errors">${lines.map(l => `<li>${escapeHTML(l)}</li>`).join('')}</ul>`;
+  alert('Backup restored in this browser, but some tables could not be saved to the server yet:\n' + lines.join('\n'));
 }
 
 /* ----------------------- User management area ----------------------- */
 function renderUserManagementArea(){
-  const outId = 'player-mgmt-area';
-  let out = document.getElementById(outId);
-  if(!out){
-    out = document.createElement('div'); out.id = outId; out.style.marginTop = '12px';
-    const container = document.querySelector('.container');
-    if(container) container.appendChild(out);
-  }
+  const out = document.getElementById('player-mgmt-area'); if(!out) return;
+  const me = getCurrentUser();
+  if(!showModSection(out, can(me, 'manage_roles'))) return;
+  out.innerHTML = '';
+  const roles = getRoleDefinitions();
   const users = getUsers().slice().sort((a,b)=> (b.points||0)-(a.points||0));
-  out.innerHTML = '<h3>Players (quick)</h3>';
   users.forEach(u => {
-    const row = document.createElement('div'); row.className='player-card'; row.style.margin='6px 0';
-    row.innerHTML = `<div><strong>${escapeHTML(u.username)}</strong> <div class="muted" style="font-size:13px">Role: ${escapeHTML(u.role||'user')} • Points: ${escapeHTML(String(u.points||0))}</div></div><div style="display:flex;gap:8px"><button class="btn small-btn promote">Promote</button><button class="btn danger small-btn demote">Demote</button></div>`;
-    const promote = row.querySelector('.promote'); const demote = row.querySelector('.demote');
-    promote.onclick = () => { u.role = (u.role === 'mod' ? 'headadmin' : 'mod'); saveUsers(getUsers()); addAudit({ id: uid(), action:'promote', actor:getSession() && getSession().username, target:u.username, details:{ role:u.role }, ts: now() }); renderUserManagementArea(); };
-    demote.onclick = () => { if(u.role === 'headadmin') { alert('Cannot demote headadmin'); return; } u.role = 'user'; saveUsers(getUsers()); addAudit({ id: uid(), action:'demote', actor:getSession() && getSession().username, target:u.username, details:{ role:u.role }, ts: now() }); renderUserManagementArea(); };
+    const editable = outranks(me, u);
+    const extra = expandPermissions(u.permissions);
+    const row = document.createElement('div'); row.className='player-card'; row.style.margin='6px 0'; row.style.flexWrap = 'wrap';
+    row.innerHTML = `<div><strong>${escapeHTML(u.username)}</strong> ${sanctionBadgeHTML(u)} <div class="muted" style="font-size:13px">Role: ${escapeHTML(getRoleDefinition(u.role).name)} • Points: ${escapeHTML(String(u.points||0))}${extra.length ? ' • Extra: ' + escapeHTML(extra.join(', ')) : ''}</div></div>
+      <div style="display:flex;gap:8px;align-items:center"><select class="input role-select" style="width:160px" ${editable ? '' : 'disabled'}>${roles.map(r => `<option value="${escapeHTML(r.id)}" ${r.id === (u.role || 'user') ? 'selected' : ''}>${escapeHTML(r.name)}</option>`).join('')}</select><button class="btn ghost small-btn perms" ${editable ? '' : 'disabled'}>Permissions</button></div>
+      <div class="user-perms hidden" style="flex-basis:100%"></div>`;
+    row.querySelector('.role-select').onchange = function(){ setUserRole(u.id, this.value); };
+    row.querySelector('.perms').onclick = () => {
+      const box = row.querySelector('.user-perms'); box.classList.toggle('hidden');
+      box.innerHTML = `<div class="perm-grid">${CAPABILITIES.map(c => `<label><input type="checkbox" value="${c.id}" ${extra.includes(c.id) ? 'checked' : ''} ${can(me, c.id) ? '' : 'disabled'}> ${escapeHTML(c.label)}</label>`).join('')}</div><button class="btn small-btn" style="margin-top:8px">Save permissions</button>`;
+      box.querySelector('button').onclick = () => setUserPermissions(u.id, Array.from(box.querySelectorAll('input:checked')).map(i => i.value));
+    };
     out.appendChild(row);
   });
 }
 
+function setUserRole(userId, roleId){
+  const me = getCurrentUser(); const users = getUsers(); const target = users.find(x => x.id === userId);
+  const role = getRoleDefinitions().find(r => r.id === roleId);
+  if(!target || !role || !requireCapability('manage_roles')) return;
+  if(!outranks(me, target) || !canGrant(me, role.permissions)){ alert('You can only assign roles whose permissions you hold yourself.'); renderUserManagementArea(); return; }
+  const from = target.role || 'user';
+  target.role = role.id; saveUsers(users);
+  addAudit({ id: uid(), action:'set_role', actor: me.username, target: target.username, details:{ from, to: role.id }, ts: now() });
+  renderUserManagementArea(); renderAuditLog();
+}
+
+function setUserPermissions(userId, permissions){
+  const me = getCurrentUser(); const users = getUsers(); const target = users.find(x => x.id === userId);
+  if(!target || !requireCapability('manage_roles')) return;
+  if(!outranks(me, target) || !canGrant(me, permissions)){ alert('You can only grant permissions you hold yourself.'); renderUserManagementArea(); return; }
+  const from = expandPermissions(target.permissions);
+  target.permissions = permissions; saveUsers(users);
+  addAudit({ id: uid(), action:'set_permissions', actor: me.username, target: target.username, details:{ from, to: permissions }, ts: now() });
+  renderUserManagementArea(); renderAuditLog();
+}
+
+/* ----------------------- Role definitions ----------------------- */
+function renderRoleEditor(){
+  const out = document.getElementById('role-editor'); if(!out) return;
+  const me = getCurrentUser();
+  if(!showModSection(out, can(me, 'manage_roles'))) return;
+  out.innerHTML = `<div style="display:flex;gap:8px;margin-bottom:12px"><input id="new-role-name" class="input" placeholder="New role name" style="width:220px"><button id="new-role-btn" class="btn small-btn">Add role</button></div>`;
+  getRoleDefinitions().forEach(r => {
+    const locked = r.id === LOCKED_ROLE_ID;
+    const perms = expandPermissions(r.permissions);
+    const item = document.createElement('div'); item.className = 'card'; item.style.margin = '8px 0';
+    item.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center"><strong>${escapeHTML(r.name)}</strong> <span class="muted">${escapeHTML(r.id)}${r.builtin ? ' • built-in' : ''}</span></div>
+      <div class="perm-grid" style="margin-top:8px">${CAPABILITIES.map(c => `<label><input type="checkbox" value="${c.id}" ${perms.includes(c.id) ? 'checked' : ''} ${locked || !can(me, c.id) ? 'disabled' : ''}> ${escapeHTML(c.label)}</label>`).join('')}</div>
+      ${locked ? '' : `<div style="display:flex;gap:8px;margin-top:8px"><button class="btn small-btn save">Save</button>${r.builtin ? '' : '<button class="btn danger small-btn delete">Delete</button>'}</div>`}`;
+    if(!locked){
+      item.querySelector('.save').onclick = () => saveRoleDefinition(r.id, r.name, Array.from(item.querySelectorAll('input:checked')).map(i => i.value));
+      const del = item.querySelector('.delete'); if(del) del.onclick = () => deleteRoleDefinition(r.id);
+    }
+    out.appendChild(item);
+  });
+  out.querySelector('#new-role-btn').onclick = () => {
+    const name = (out.querySelector('#new-role-name').value || '').trim(); if(!name){ alert('Enter a role name'); return; }
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if(!id || getRoleDefinitions().some(r => r.id === id)){ alert('A role with that name already exists'); return; }
+    saveRoleDefinition(id, name, [], true);
+  };
+}
+
+function saveRoleDefinition(id, name, permissions, isNew){
+  const me = getCurrentUser();
+  if(id === LOCKED_ROLE_ID || !requireCapability('manage_roles')) return;
+  const before = isNew ? [] : expandPermissions(getRoleDefinition(id).permissions);
+  // changing a permission (either way) requires holding it
+  const changed = CAPABILITIES.map(c => c.id).filter(p => before.includes(p) !== permissions.includes(p));
+  if(!canGrant(me, changed)){ alert('You can only change permissions you hold yourself.'); renderRoleEditor(); return; }
+  const roles = getRoles(); const existing = roles.find(r => r.id === id);
+  if(existing){ existing.name = name; existing.permissions = permissions; } else roles.push({ id, name, permissions });
+  saveRoles(roles);
+  addAudit({ id: uid(), action: isNew ? 'create_role' : 'edit_role', actor: me.username, target: id, details:{ name, from: before, to: permissions }, ts: now() });
+  renderRoleEditor(); renderUserManagementArea(); renderAuditLog();
+}
+
+function deleteRoleDefinition(id){
+  const me = getCurrentUser(); const role = getRoleDefinition(id);
+  if(!role || role.builtin || !requireCapability('manage_roles')) return;
+  if(!canGrant(me, role.permissions)){ alert('You can only delete roles whose permissions you hold yourself.'); return; }
+  const users = getUsers(); const holders = users.filter(u => u.role === id);
+  if(!confirm(`Delete role "${role.name}"?${holders.length ? ` ${holders.length} user(s) will become players.` : ''}`)) return;
+  if(holders.length){ holders.forEach(u => { u.role = 'user'; }); saveUsers(users); }
+  deleteRoles([id]);
+  addAudit({ id: uid(), action:'delete_role', actor: me.username, target: id, details:{ name: role.name, permissions: role.permissions, reassigned: holders.map(u => u.username) }, ts: now() });
+  renderRoleEditor(); renderUserManagementArea(); renderAuditLog();
+}
+
+/* ----------------------- Tag registry ----------------------- */
+let _editingTagId = null;
+function tagUsageCounts(){
+  const counts = {};
+  getLevels().forEach(l => (l.tags || []).forEach(t => { counts[t] = (counts[t] || 0) + 1; }));
+  return counts;
+}
+function renderTagRegistryEditor(){
+  const out = document.getElementById('tag-registry'); if(!out) return;
+  if(!showModSection(out, currentUserCan('manage_tags'))) return;
+  const registry = getTagRegistry(); const editing = registry.find(t => t.id === _editingTagId) || null;
+  const usage = tagUsageCounts();
+  out.innerHTML = `
+    <form id="tag-form" class="tag-form">
+      <input id="tag-name" class="input" placeholder="Tag name" maxlength="40" value="${escapeHTML(editing ? editing.name : '')}">
+      <select id="tag-category" class="input">${TAG_CATEGORIES.map(c => `<option value="${c.id}" ${editing && editing.category === c.id ? 'selected' : ''}>${escapeHTML(c.label)}</option>`).join('')}</select>
+      <input id="tag-color" type="color" value="${escapeHTML(editing && isValidTagColor(editing.color) ? editing.color : DEFAULT_TAG_COLOR)}" title="Badge colour">
+      <input id="tag-description" class="input" placeholder="Description" value="${escapeHTML(editing ? editing.description || '' : '')}">
+      <button class="btn small-btn" type="submit">${editing ? 'Save changes' : 'Add tag'}</button>
+      ${editing ? '<button class="btn ghost small-btn" type="button" id="tag-cancel">Cancel</button>' : ''}
+    </form>
+    <div class="tag-registry-list"></div>`;
+  const list = out.querySelector('.tag-registry-list');
+  TAG_CATEGORIES.forEach(c => {
+    const tags = registry.filter(t => t.category === c.id); if(!tags.length) return;
+    const head = document.createElement('h3'); head.textContent = c.label; list.appendChild(head);
+    tags.forEach(t => {
+      const row = document.createElement('div'); row.className = 'mod-item tag-registry-row';
+      row.innerHTML = `<div>${renderTagBadgesHTML([t.name])} <span class="muted" style="font-size:13px">${escapeHTML(t.description || '')} • ${usage[t.name] || 0} level(s)</span></div>
+        <div style="display:flex;gap:8px"><button class="btn ghost small-btn edit">Edit</button><button class="btn danger small-btn delete">Delete</button></div>`;
+      row.querySelector('.edit').onclick = () => { _editingTagId = t.id; renderTagRegistryEditor(); };
+      row.querySelector('.delete').onclick = () => deleteTagDefinition(t.id);
+      list.appendChild(row);
+    });
+  });
+  out.querySelector('#tag-form').onsubmit = e => {
+    e.preventDefault();
+    saveTagDefinition(editing ? editing.id : null, {
+      name: out.querySelector('#tag-name').value.trim(),
+      category: out.querySelector('#tag-category').value,
+      color: out.querySelector('#tag-color').value,
+      description: out.querySelector('#tag-description').value.trim()
+    });
+  };
+  const cancel = out.querySelector('#tag-cancel'); if(cancel) cancel.onclick = () => { _editingTagId = null; renderTagRegistryEditor(); };
+}
+
+function tagDefinitionProblem(def, id){
+  if(!def.name) return 'Enter a tag name';
+  if(def.name.length > 40) return 'Tag names can be at most 40 characters';
+  if(def.name.includes(',')) return 'Tag names cannot contain commas';
+  if(getTagRegistry().some(t => t.id !== id && t.name.toLowerCase() === def.name.toLowerCase())) return `A tag called "${def.name}" already exists`;
+  if(!TAG_CATEGORIES.some(c => c.id === def.category)) return 'Pick a category';
+  if(!isValidTagColor(def.color)) return 'Colour must be a #rrggbb value';
+  return null;
+}
+
+/* Renames (to) or strips (to === null) a tag on every level and every not-yet-approved submission. */
+function replaceTagEverywhere(from, to){
+  const swap = tags => { if(!(tags || []).includes(from)) return null; const next = tags.filter(t => t !== from); if(to && !next.includes(to)) next.splice(tags.indexOf(from), 0, to); return next; };
+  const levels = getLevels(); let levelCount = 0;
+  levels.forEach(l => { const next = swap(l.tags); if(next){ l.tags = next; levelCount++; } });
+  if(levelCount) saveLevels(levels);
+  const subs = getSubs(); let subCount = 0;
+  subs.filter(x => submissionStatus(x) !== 'approved').forEach(x => { const next = swap(x.tags); if(next){ x.tags = next; subCount++; } });
+  if(subCount) saveSubs(subs);
+  return { levels: levelCount, submissions: subCount };
+}
+
+function saveTagDefinition(id, def){
+  if(!requireCapability('manage_tags')) return false;
+  const problem = tagDefinitionProblem(def, id); if(problem){ alert(problem); return false; }
+  const registry = getTagRegistry(); // the first save stores the built-in set along with the change
+  const existing = id ? registry.find(t => t.id === id) : null;
+  const before = existing ? Object.assign({}, existing) : null;
+  if(existing) Object.assign(existing, def);
+  else {
+    const slug = def.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    registry.push(Object.assign({ id: slug && !registry.some(t => t.id === slug) ? slug : uid() }, def));
+  }
+  saveTags(registry); saveSetting('tagRegistrySaved', true);
+  const renamed = before && before.name !== def.name ? replaceTagEverywhere(before.name, def.name) : null;
+  addAudit({ id: uid(), action: existing ? 'edit_tag' : 'create_tag', actor: getSession().username, target: existing ? existing.id : def.name, details:{ from: before, to: def, renamed }, ts: now() });
+  if(renamed) alert(`Renamed "${before.name}" to "${def.name}" on ${renamed.levels} level(s) and ${renamed.submissions} submission(s)`);
+  _editingTagId = null;
+  renderTagRegistryEditor(); renderPendingSubmissions(); renderRankingEditor(); renderAuditLog();
+  return true;
+}
+
+function deleteTagDefinition(id){
+  if(!requireCapability('manage_tags')) return false;
+  const registry = getTagRegistry(); const tag = registry.find(t => t.id === id); if(!tag) return false;
+  const used = tagUsageCounts()[tag.name] || 0;
+  if(!confirm(`Delete tag "${tag.name}"?${used ? ` It will be removed from ${used} level(s) and any open submissions.` : ''}`)) return false;
+  if((getTags() || []).length) deleteTags([id]); else saveTags(registry.filter(t => t.id !== id));
+  saveSetting('tagRegistrySaved', true);
+  const removed = replaceTagEverywhere(tag.name, null);
+  addAudit({ id: uid(), action:'delete_tag', actor: getSession().username, target: id, details:{ tag, removed }, ts: now() });
+  if(_editingTagId === id) _editingTagId = null;
+  renderTagRegistryEditor(); renderPendingSubmissions(); renderRankingEditor(); renderAuditLog();
+  return true;
+}
+
+/* ----------------------- Password reset codes ----------------------- */
+function renderPasswordResetArea(){
+  const area = document.getElementById('password-reset-area'); if(!area) return;
+  const sess = getSession(); const me = sess ? getUsers().find(u => u.username === sess.username) : null;
+  if(!showModSection(area, can(me, 'reset_passwords'))) return;
+
+  const pending = getUsers().filter(hasActiveResetCode);
+  area.innerHTML = `
+    <div style="display:flex;gap:8px;flex-wrap:wrap;margin-bottom:12px">
+      <input id="reset-username" class="input" placeholder="Locked-out username" style="width:260px">
+      <button id="reset-issue-btn" class="btn">Issue reset code</button>
+    </div>
+    <div id="reset-code-result"></div>
+    <h3 style="margin-top:8px">Outstanding codes</h3>
+    <div id="reset-code-list">${pending.length ? '' : '<div class="muted">No outstanding reset codes</div>'}</div>
+  `;
+  const list = area.querySelector('#reset-code-list');
+  pending.forEach(u => {
+    const item = document.createElement('div'); item.className = 'player-card';
+    item.innerHTML = `<div><strong>${escapeHTML(u.username)}</strong> <div class="muted" style="font-size:13px">Expires: ${formatDate(u.resetCodeExpires)} • By: ${escapeHTML(u.resetCodeIssuedBy||'-')}</div></div><div><button class="btn danger small-btn">Revoke</button></div>`;
+    item.querySelector('button').onclick = () => {
+      if(!requireCapability('reset_passwords')) return;
+      const users = getUsers(); const target = users.find(x => x.username === u.username); if(!target) return;
+      delete target.resetCode; delete target.resetCodeExpires; delete target.resetCodeIssuedBy;
+      saveUsers(users);
+      addAudit({ id: uid(), action:'revoke_reset_code', actor: sess.username, target: target.username, details:{}, ts: now() });
+      renderPasswordResetArea(); renderAuditLog();
+    };
+    list.appendChild(item);
+  });
+
+  area.querySelector('#reset-issue-btn').onclick = async () => {
+    if(!requireCapability('reset_passwords')) return;
+    const username = (area.querySelector('#reset-username').value || '').trim();
+    if(!username){ alert('Enter a username'); return; }
+    const users = getUsers(); const target = users.find(u => u.username === username);
+    if(!target){ alert('User not found'); return; }
+    const code = generateResetCode();
+    target.resetCode = await hashPassword(code);
+    target.resetCodeExpires = now() + RESET_CODE_TTL;
+    target.resetCodeIssuedBy = sess.username;
+    saveUsers(users);
+    addAudit({ id: uid(), action:'issue_reset_code', actor: sess.username, target: target.username, details:{ expires: target.resetCodeExpires }, ts: now() });
+    renderPasswordResetArea(); renderAuditLog();
+    // the plaintext code is shown exactly once and never stored
+    const result = document.getElementById('reset-code-result');
+    if(result) result.innerHTML = `<div class="card" style="margin-bottom:12px">Reset code for <strong>${escapeHTML(target.username)}</strong>: <code style="font-size:18px;font-weight:800">${escapeHTML(code)}</code><div class="muted" style="margin-top:6px">Share it privately. It works once as their login password until ${formatDate(target.resetCodeExpires)}; they must choose a new password right after.</div></div>`;
+  };
+}
+
 /* ----------------------- Player search area ----------------------- */
 function renderPlayerSearchArea(){
   const area = document.getElementById('player-search-area');
@@ -785,7 +2807,7 @@ function renderPlayerSearchArea(){
     if(!q) return;
     getUsers().filter(u => u.username.toLowerCase().includes(q)).slice(0,10).forEach(u => {
       const pc = document.createElement('div'); pc.className='player-card';
-      pc.innerHTML = `<div><strong>${escapeHTML(u.username)}</strong> <div class="muted">${escapeHTML(u.role||'')}</div></div><div><button class="btn small-btn view">View</button></div>`;
+      pc.innerHTML = `<div><strong>${escapeHTML(u.username)}</strong> ${currentUserCan('ban_users') ? sanctionBadgeHTML(u) : ''} <div class="muted">${escapeHTML(u.role||'')}</div></div><div><button class="btn small-btn view">View</button></div>`;
       pc.querySelector('.view').onclick = () => { window.location.href = `profile.html?user=${encodeURIComponent(u.username)}`; };
       results.appendChild(pc);
     });
@@ -797,6 +2819,114 @@ function addAudit(entry){
   const arr = getAudit(); arr.unshift(Object.assign({ id: uid(), ts: now() }, entry)); saveAudit(arr);
 }
 
+/* ======================== STATS VIEWER ======================== */
+const STATS_PAGE_SIZE = 25;
+
+function initStatsPage(){
+  renderTopbar();
+  const area = document.getElementById('stats-area'); if(!area) return;
+  const state = { q: '', nationality: '', page: 1, selected: null };
+
+  const nationalities = Array.from(new Set(getUsers().map(u => u.nationality).filter(Boolean))).sort();
+  area.innerHTML = `
+    <div class="stats-toolbar">
+      <input id="stats-search" class="input" placeholder="Search username">
+      <select id="stats-nationality" class="input">
+        <option value="">All nationalities</option>
+        ${nationalities.map(n => `<option value="${escapeHTML(n)}">${escapeHTML((countryToFlag(n) + ' ' + n).trim())}</option>`).join('')}
+      </select>
+    </div>
+    <div class="stats-layout">
+      <div>
+        <div class="stats-table-header muted"><div>Player</div><div>Country</div><div>Title</div><div>Points</div><div>Completions</div><div>Levels created</div></div>
+        <div id="stats-rows"></div>
+        <div id="stats-pager" class="stats-pager"></div>
+      </div>
+      <aside id="stats-player-panel" class="stats-player-panel"></aside>
+    </div>
+  `;
+
+  document.getElementById('stats-search').addEventListener('input', function(){ state.q = this.value.trim().toLowerCase(); state.page = 1; render(); });
+  document.getElementById('stats-nationality').addEventListener('change', function(){ state.nationality = this.value; state.page = 1; render(); });
+
+  function render(){
+    // ranks are computed over everyone so filtering never renumbers players
+    const ranked = rankUsers(getLeaderboardSortedUsers()).filter(({ user }) =>
+      (!state.nationality || user.nationality === state.nationality) &&
+      (!state.q || (user.username || '').toLowerCase().includes(state.q))
+    );
+    const pages = Math.max(1, Math.ceil(ranked.length / STATS_PAGE_SIZE));
+    state.page = Math.min(state.page, pages);
+    const pageRows = ranked.slice((state.page - 1) * STATS_PAGE_SIZE, state.page * STATS_PAGE_SIZE);
+
+    const created = creatorLevelIndex();
+    const rows = document.getElementById('stats-rows'); rows.innerHTML = '';
+    if(!pageRows.length) rows.innerHTML = '<div class="muted" style="padding:12px 0">No players match.</div>';
+    pageRows.forEach(({ user, rank }) => {
+      const titleObj = TITLES.find(t => t.id === user.equippedTitle);
+      const flag = user.showCountry !== false ? countryToFlag(user.nationality) : '';
+      const row = document.createElement('div'); row.className = 'stats-table-row' + (state.selected === user.username ? ' selected' : '');
+      row.innerHTML = `<div><span class="stats-rank">#${rank}</span> <a class="user-link" href="profile.html?user=${encodeURIComponent(user.username)}">${escapeHTML(user.username)}</a></div><div>${escapeHTML(user.showCountry !== false ? ((flag + ' ' + (user.nationality || '')).trim()) : '—')}</div><div class="muted">${escapeHTML(titleObj ? titleObj.label : '')}</div><div><strong>${escapeHTML(String(user.points || 0))}</strong></div><div>${(user.completedRecords || []).length}</div><div>${(created.get(user.username.toLowerCase()) || []).length}</div>`;
+      row.onclick = (e) => { if(e.target.closest('a')) return; state.selected = user.username; render(); };
+      rows.appendChild(row);
+    });
+
+    const pager = document.getElementById('stats-pager');
+    pager.innerHTML = `<button class="btn ghost small-btn" data-dir="-1" ${state.page <= 1 ? 'disabled' : ''}>← Prev</button><span class="muted">Page ${state.page} of ${pages} • ${ranked.length} players</span><button class="btn ghost small-btn" data-dir="1" ${state.page >= pages ? 'disabled' : ''}>Next →</button>`;
+    pager.querySelectorAll('button').forEach(b => b.onclick = () => { state.page += parseInt(b.dataset.dir, 10); render(); });
+
+    renderStatsPlayerPanel(state.selected);
+  }
+  render();
+}
+
+/* side panel for the selected leaderboard row */
+function renderStatsPlayerPanel(username){
+  const panel = document.getElementById('stats-player-panel'); if(!panel) return;
+  const user = username ? getUsers().find(u => u.username === username) : null;
+  if(!user){ panel.innerHTML = '<div class="muted">Select a player to see their completions.</div>'; return; }
+
+  const levelsById = {}; (getLevels() || []).forEach(l => { levelsById[l.id] = l; });
+  const records = (user.completedRecords || []).slice().sort((a,b) => ((levelsById[a.levelId]||{}).placement||9999) - ((levelsById[b.levelId]||{}).placement||9999));
+  const hardest = records.filter(isFullCompletion).map(r => levelsById[r.levelId]).filter(Boolean)[0] || null;
+  const titleObj = TITLES.find(t => t.id === user.equippedTitle);
+  const flag = user.showCountry !== false ? countryToFlag(user.nationality) : '';
+  const created = levelsCreatedBy(user.username);
+
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:flex-start;gap:8px">
+      <div>
+        <div style="font-weight:800;font-size:18px">${escapeHTML(flag ? flag + ' ' : '')}${escapeHTML(user.username)}</div>
+        ${titleObj ? `<div class="muted">${escapeHTML(titleObj.label)}</div>` : ''}
+      </div>
+      <a class="btn ghost small-btn" href="profile.html?user=${encodeURIComponent(user.username)}">Profile</a>
+    </div>
+    <div class="stats-player-facts">
+      <div><div class="muted">Rank</div><strong>#${getUserRank(user.username) || '—'}</strong></div>
+      <div><div class="muted">Points</div><strong>${escapeHTML(String(user.points || 0))}</strong></div>
+      <div><div class="muted">Hardest</div><strong>${hardest ? `#${hardest.placement} ${escapeHTML(hardest.name)}` : '—'}</strong></div>
+      <div><div class="muted">Levels created</div><strong>${created.length}</strong></div>
+      <div><div class="muted">Highest creation</div><strong>${created.length ? `#${created[0].placement} ${escapeHTML(created[0].name)}` : '—'}</strong></div>
+    </div>
+    ${created.length ? `<h3 style="margin:14px 0 8px">Levels created (${created.length})</h3>${createdLevelsHTML(created)}` : ''}
+    <h3 style="margin:14px 0 8px">Completions (${records.length})</h3>
+    <div class="stats-records" id="stats-player-completions"></div>
+  `;
+  const list = panel.querySelector('#stats-player-completions');
+  if(!records.length){ list.innerHTML = '<div class="muted">No completions yet</div>'; return; }
+  records.forEach(r => {
+    const lvl = levelsById[r.levelId];
+    const item = document.createElement('div'); item.className = 'stats-record';
+    item.innerHTML = `<div><strong>${lvl ? `#${lvl.placement} ` : ''}${escapeHTML((lvl && lvl.name) || r.levelName || '(removed level)')}</strong><div class="muted">${r.percent !== null && r.percent !== undefined && r.percent < 100 ? escapeHTML(r.percent + '%') + ' • ' : ''}${formatDate(r.ts)}${safeHttpUrl(r.youtube) ? ` • <a class="user-link" href="${escapeHTML(safeHttpUrl(r.youtube))}" target="_blank" rel="noopener">Video</a>` : ''}</div></div><div><strong>+${escapeHTML(String(r.awardedPoints || 0))}</strong></div>`;
+    list.appendChild(item);
+  });
+}
+
+function createdLevelsHTML(levels){
+  const users = getUsers();
+  return `<div class="stats-records">${levels.map(l => `<div class="stats-record"><div><strong>#${l.placement} <a class="user-link" href="level.html?id=${encodeURIComponent(l.id)}">${escapeHTML(l.name)}</a></strong><div class="muted">${escapeHTML(tierLabel(levelTier(l)))} • ${renderCreatorsHTML(l.creators || [], users)}</div></div></div>`).join('')}</div>`;
+}
+
 /* ----------------------- Profile + editing (minimal, safe) ----------------------- */
 function initProfilePage(){
   renderTopbar();
@@ -811,6 +2941,7 @@ function initProfilePage(){
 
   // Render profile preview where applicable
   renderProfilePreview(target);
+  renderProfileCreatedLevels(target);
 
   // Basic editor hookups (conservative: only wire simple save that matches earlier behavior)
   const editorArea = document.getElementById('editor-area');
@@ -858,6 +2989,13 @@ function initProfilePage(){
   }
 }
 
+function renderProfileCreatedLevels(user){
+  const area = document.getElementById('profile-levels-created'); if(!area) return;
+  const levels = levelsCreatedBy(user.username);
+  const count = document.getElementById('created-count'); if(count) count.textContent = levels.length;
+  area.innerHTML = levels.length ? createdLevelsHTML(levels) : '<div class="sub-muted">No list levels credit this player</div>';
+}
+
 /* profile preview helper (safe update of DOM nodes if present) */
 function renderProfilePreview(user){
   const left = document.getElementById('profile-left');
@@ -879,12 +3017,6 @@ function renderProfilePreview(user){
 }
 
 /* ----------------------- Utility exports ----------------------- */
-function pointsForPlacement(placement){
-  if(!placement) return 1;
-  const p = Math.max(1, Math.min(100, 101 - (placement || 999)));
-  return p;
-}
-
 /* expose initPage globally */
 window.initPage = initPage;
 
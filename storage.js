@@ -1,5 +1,7 @@
 /* storage.js
-   Fixed Supabase-backed storage adapter with proper error handling
+   The site's single storage layer: a repository over pluggable backends
+   (localStorage / in-memory cache, Supabase REST mirror) with proper error handling.
+   Load before scripts.js — scripts.js only talks to the public API below.
 */
 
 /* -------------------- CONFIG -------------------- */
@@ -12,75 +14,181 @@ const KEY_LEVELS = 'dl_levels_v1_explicit';
 const KEY_SUBS = 'dl_subs_v1_explicit';
 const KEY_AUDIT = 'dl_audit_v1';
 const KEY_SESSION = 'dl_session_v1_explicit';
+const KEY_ROLES = 'dl_roles_v1';
+const KEY_SETTINGS = 'dl_settings_v1';
+const KEY_CHANGELOG = 'dl_changelog_v1';
+const KEY_TAGS = 'dl_tags_v1';
+const KEY_SYNC_PENDING = 'dl_sync_pending_v1';     // dirty records awaiting push
+const KEY_SYNC_BASE = 'dl_sync_base_v1';           // field hashes of the last server version seen
+const KEY_SYNC_CURSORS = 'dl_sync_cursors_v1';     // per-table updated_at high-water mark
+const KEY_SYNC_CONFLICTS = 'dl_sync_conflicts_v1'; // conflicts surfaced to mods
+const KEY_SEED_IDS = 'dl_seed_ids_v1';             // { table: [id] } rows written by the seeder; never pushed
 
-/* -------------------- Database Table Structure Reference --------------------
-   Create these tables in your Supabase project:
-   
-   1. users table:
-      id (text, primary key)
-      username (text)
-      password (text)
-      role (text)
-      nationality (text)
-      points (integer)
-      created_at (bigint)
-      profile_pic (text)
-      show_country (boolean)
-      bio (text)
-      completed_records (jsonb)
-      equipped_title (text)
-      updated_at (timestamp with time zone)
-   
-   2. levels table:
-      id (text, primary key)
-      name (text)
-      creator (text)
-      youtube_url (text)
-      difficulty (text)
-      points (integer)
-      placement (integer)
-      verified (boolean)
-      created_at (bigint)
-      updated_at (timestamp with time zone)
-   
-   3. submissions table:
-      id (text, primary key)
-      level_id (text)
-      player_id (text)
-      video_url (text)
-      status (text) // pending, approved, rejected
-      created_at (bigint)
-      updated_at (timestamp with time zone)
-   
-   4. audit_log table:
-      id (text, primary key)
-      user_id (text)
-      action (text)
-      target_type (text)
-      target_id (text)
-      details (jsonb)
-      created_at (bigint)
+/* -------------------- Database Schema & Field Mapping --------------------
+   The full table definitions (and the migration from the original schema)
+   live in schema.sql — run it in the Supabase SQL editor.
+
+   App objects are camelCase; database columns are snake_case. FIELD_MAPS is the
+   single source of truth for that translation: appField -> { column, type }.
+     type      one of text | integer | bigint | boolean | jsonb | timestamptz
+     required  row is rejected (not sent) when the value is missing
+   DERIVED_COLUMNS are written for old readers of the schema but never read back.
+   LEGACY_READERS fill app fields from rows written before the mapping existed.
 */
+const FIELD_MAPS = {
+  users: {
+    id: { column: 'id', type: 'text', required: true },
+    username: { column: 'username', type: 'text', required: true },
+    password: { column: 'password', type: 'text' },
+    role: { column: 'role', type: 'text' },
+    nationality: { column: 'nationality', type: 'text' },
+    points: { column: 'points', type: 'integer' },
+    createdAt: { column: 'created_at', type: 'bigint' },
+    profilePic: { column: 'profile_pic', type: 'text' },
+    showCountry: { column: 'show_country', type: 'boolean' },
+    bio: { column: 'bio', type: 'text' },
+    completedRecords: { column: 'completed_records', type: 'jsonb' },
+    equippedTitle: { column: 'equipped_title', type: 'text' },
+    permissions: { column: 'permissions', type: 'jsonb' },
+    lastLogin: { column: 'last_login', type: 'bigint' },
+    bannedUntil: { column: 'banned_until', type: 'bigint' },
+    banReason: { column: 'ban_reason', type: 'text' },
+    bannedBy: { column: 'banned_by', type: 'text' },
+    bannedAt: { column: 'banned_at', type: 'bigint' },
+    sanctions: { column: 'sanctions', type: 'jsonb' },
+    passwordChangedAt: { column: 'password_changed_at', type: 'bigint' },
+    sessionsValidAfter: { column: 'sessions_valid_after', type: 'bigint' },
+    resetCode: { column: 'reset_code', type: 'text' },
+    resetCodeExpires: { column: 'reset_code_expires', type: 'bigint' },
+    resetCodeIssuedBy: { column: 'reset_code_issued_by', type: 'text' },
+    updatedAt: { column: 'updated_at', type: 'timestamptz' }
+  },
+  levels: {
+    id: { column: 'id', type: 'text', required: true },
+    name: { column: 'name', type: 'text', required: true },
+    levelId: { column: 'gd_level_id', type: 'text' },
+    creators: { column: 'creators', type: 'jsonb' },
+    youtube: { column: 'youtube_url', type: 'text' },
+    thumbnail: { column: 'thumbnail', type: 'text' },
+    tags: { column: 'tags', type: 'jsonb' },
+    placement: { column: 'placement', type: 'integer' },
+    legacy: { column: 'legacy', type: 'boolean' },
+    status: { column: 'status', type: 'text' },
+    submitter: { column: 'submitter', type: 'text' },
+    approvedBy: { column: 'approved_by', type: 'text' },
+    approvedAt: { column: 'approved_at', type: 'bigint' },
+    createdAt: { column: 'created_at', type: 'bigint' },
+    updatedAt: { column: 'updated_at', type: 'timestamptz' }
+  },
+  submissions: {
+    id: { column: 'id', type: 'text', required: true },
+    type: { column: 'type', type: 'text', required: true },
+    name: { column: 'name', type: 'text' },
+    creators: { column: 'creators', type: 'jsonb' },
+    levelId: { column: 'gd_level_id', type: 'text' },
+    levelRef: { column: 'level_id', type: 'text' },
+    levelName: { column: 'level_name', type: 'text' },
+    youtube: { column: 'video_url', type: 'text' },
+    raw: { column: 'raw_url', type: 'text' },
+    percent: { column: 'percent', type: 'integer' },
+    tags: { column: 'tags', type: 'jsonb' },
+    submitter: { column: 'submitter', type: 'text' },
+    status: { column: 'status', type: 'text' },
+    statusReason: { column: 'status_reason', type: 'text' },
+    statusChangedAt: { column: 'status_changed_at', type: 'bigint' },
+    statusHistory: { column: 'status_history', type: 'jsonb' },
+    reviewedBy: { column: 'reviewed_by', type: 'text' },
+    revision: { column: 'revision', type: 'integer' },
+    claimedBy: { column: 'claimed_by', type: 'text' },
+    claimExpiresAt: { column: 'claim_expires_at', type: 'bigint' },
+    modNotes: { column: 'mod_notes', type: 'jsonb' },
+    createdAt: { column: 'created_at', type: 'bigint' },
+    updatedAt: { column: 'updated_at', type: 'timestamptz' }
+  },
+  audit_log: {
+    id: { column: 'id', type: 'text', required: true },
+    action: { column: 'action', type: 'text', required: true },
+    actor: { column: 'actor', type: 'text' },
+    target: { column: 'target_id', type: 'text' },
+    details: { column: 'details', type: 'jsonb' },
+    ts: { column: 'created_at', type: 'bigint' },
+    updatedAt: { column: 'updated_at', type: 'timestamptz' }
+  },
+  roles: {
+    id: { column: 'id', type: 'text', required: true },
+    name: { column: 'name', type: 'text', required: true },
+    permissions: { column: 'permissions', type: 'jsonb' },
+    updatedAt: { column: 'updated_at', type: 'timestamptz' }
+  },
+  settings: {
+    id: { column: 'id', type: 'text', required: true },
+    value: { column: 'value', type: 'jsonb' },
+    updatedAt: { column: 'updated_at', type: 'timestamptz' }
+  },
+  tags: {
+    id: { column: 'id', type: 'text', required: true },
+    name: { column: 'name', type: 'text', required: true },
+    category: { column: 'category', type: 'text' },
+    color: { column: 'color', type: 'text' },
+    description: { column: 'description', type: 'text' },
+    updatedAt: { column: 'updated_at', type: 'timestamptz' }
+  },
+  list_changes: {
+    id: { column: 'id', type: 'text', required: true },
+    type: { column: 'type', type: 'text', required: true },
+    levelId: { column: 'level_id', type: 'text' },
+    levelName: { column: 'level_name', type: 'text' },
+    from: { column: 'from_placement', type: 'integer' },
+    to: { column: 'to_placement', type: 'integer' },
+    above: { column: 'above', type: 'jsonb' },
+    below: { column: 'below', type: 'jsonb' },
+    displaced: { column: 'displaced', type: 'jsonb' },
+    actor: { column: 'actor', type: 'text' },
+    ts: { column: 'created_at', type: 'bigint' },
+    updatedAt: { column: 'updated_at', type: 'timestamptz' }
+  }
+};
 
-/* -------------------- Improved Utilities -------------------- */
-function _readLocal(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return JSON.parse(JSON.stringify(fallback || []));
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : JSON.parse(JSON.stringify(fallback || []));
-  } catch(e) {
-    console.warn('storage: readLocal parse error', key, e);
-    return JSON.parse(JSON.stringify(fallback || []));
+const DERIVED_COLUMNS = {
+  levels: {
+    verified: level => level.status === 'published',
+    creator: level => (level.creators || []).join(', ')
   }
+};
+
+const LEGACY_READERS = {
+  levels: {
+    status: row => (row.verified ? 'published' : null),
+    creators: row => (row.creator ? [row.creator] : null)
+  },
+  audit_log: {
+    actor: row => row.user_id || null
+  }
+};
+
+/* -------------------- Utilities -------------------- */
+function _clone(val) {
+  return JSON.parse(JSON.stringify(val === undefined ? null : val));
 }
 
-function _writeLocal(key, val) {
-  try {
-    localStorage.setItem(key, JSON.stringify(val || []));
-  } catch(e) {
-    console.warn('storage: writeLocal error', key, e);
+// JSON with sorted object keys, so equal values always serialise the same way
+function _stableStringify(val) {
+  if (val === undefined) return 'undefined';
+  if (val === null || typeof val !== 'object') return JSON.stringify(val);
+  if (Array.isArray(val)) return '[' + val.map(_stableStringify).join(',') + ']';
+  return '{' + Object.keys(val).sort().filter(k => val[k] !== undefined)
+    .map(k => JSON.stringify(k) + ':' + _stableStringify(val[k])).join(',') + '}';
+}
+
+// FNV-1a 32-bit — compact fingerprint for field values (base64 avatars included)
+function _hash(val) {
+  const str = _stableStringify(val);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
   }
+  return (h >>> 0).toString(36);
 }
 
 function uid() {
@@ -91,21 +199,102 @@ function now() {
   return Date.now();
 }
 
+/* -------------------- Mapping Errors -------------------- */
+class FieldMappingError extends Error {
+  constructor(table, recordId, field, message) {
+    super(`${table}${recordId ? '#' + recordId : ''}.${field}: ${message}`);
+    this.name = 'FieldMappingError';
+    this.table = table;
+    this.recordId = recordId;
+    this.field = field;
+  }
+}
+
+function _coerceValue(value, type) {
+  if (value === undefined || value === null) return { ok: true, value: null };
+  switch (type) {
+    case 'text':
+      if (typeof value === 'string') return { ok: true, value };
+      if (typeof value === 'number' || typeof value === 'boolean') return { ok: true, value: String(value) };
+      return { ok: false, message: `expected text, got ${typeof value}` };
+    case 'integer':
+    case 'bigint': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof n === 'number' && Number.isFinite(n)) return { ok: true, value: Math.round(n) };
+      return { ok: false, message: `expected ${type}, got ${JSON.stringify(value)}` };
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return { ok: true, value };
+      return { ok: false, message: `expected boolean, got ${JSON.stringify(value)}` };
+    case 'jsonb':
+      return { ok: true, value };
+    case 'timestamptz': {
+      const d = new Date(value);
+      if (!isNaN(d.getTime())) return { ok: true, value: d.toISOString() };
+      return { ok: false, message: `expected timestamp, got ${JSON.stringify(value)}` };
+    }
+    default:
+      return { ok: false, message: `unknown column type "${type}"` };
+  }
+}
+
 /* -------------------- Enhanced Supabase Client -------------------- */
 class SupabaseClient {
-  constructor(url, anonKey) {
+  constructor(url, anonKey, mappings = FIELD_MAPS) {
     this.url = url;
     this.anonKey = anonKey;
+    this.mappings = mappings;
+    this.lastReports = {};
+  }
+
+  /* App object -> database row. Throws FieldMappingError[] (as .errors) for bad values;
+     unknown app fields are dropped and listed in `dropped`. */
+  toRow(table, obj) {
+    const map = this.mappings[table];
+    if (!map) return { row: obj, dropped: [] };
+    const row = {};
+    const errors = [];
+    Object.entries(map).forEach(([field, spec]) => {
+      if (spec.type === 'timestamptz' && field === 'updatedAt') return; // set by upsert
+      const res = _coerceValue(obj[field], spec.type);
+      if (!res.ok) errors.push(new FieldMappingError(table, obj.id, field, res.message));
+      else if (spec.required && res.value === null) errors.push(new FieldMappingError(table, obj.id, field, 'required'));
+      else row[spec.column] = res.value;
+    });
+    Object.entries(DERIVED_COLUMNS[table] || {}).forEach(([column, fn]) => { row[column] = fn(obj); });
+    if (errors.length) {
+      const err = new Error(errors.map(e => e.message).join('; '));
+      err.errors = errors;
+      throw err;
+    }
+    const dropped = Object.keys(obj).filter(k => !map[k]);
+    return { row, dropped };
+  }
+
+  /* Database row -> app object. Columns with no mapping are ignored;
+     null columns are omitted so app code sees missing fields as undefined. */
+  fromRow(table, row) {
+    const map = this.mappings[table];
+    if (!map) return row;
+    const obj = {};
+    Object.entries(map).forEach(([field, spec]) => {
+      let value = row[spec.column];
+      if ((value === undefined || value === null) && LEGACY_READERS[table] && LEGACY_READERS[table][field]) {
+        value = LEGACY_READERS[table][field](row);
+      }
+      if (value === undefined || value === null) return;
+      if (spec.type === 'timestamptz') value = new Date(value).getTime();
+      obj[field] = value;
+    });
+    return obj;
   }
 
   async query(table, method = 'GET', body = null, params = {}) {
     try {
       // Build URL with query parameters
       let url = `${this.url}/rest/v1/${table}`;
-      
-      if (params.select) {
-        url += `?select=${encodeURIComponent(params.select)}`;
-      } else if (Object.keys(params).length > 0) {
+
+      if (Object.keys(params).length > 0) {
         const queryParams = new URLSearchParams(params).toString();
         url += `?${queryParams}`;
       }
@@ -115,7 +304,9 @@ class SupabaseClient {
         'Authorization': `Bearer ${this.anonKey}`,
         'Content-Type': 'application/json',
         'Accept': 'application/json',
-        'Prefer': 'return=representation'
+        'Prefer': method === 'POST' && params.on_conflict
+          ? 'return=representation,resolution=merge-duplicates'
+          : 'return=representation'
       };
 
       const options = {
@@ -135,7 +326,9 @@ class SupabaseClient {
       if (!response.ok) {
         const errorText = await response.text();
         console.error(`Supabase error (${response.status}):`, errorText);
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
+        const httpError = new Error(`HTTP ${response.status}: ${errorText}`);
+        httpError.status = response.status;
+        throw httpError;
       }
 
       // For DELETE or empty responses
@@ -152,23 +345,61 @@ class SupabaseClient {
   }
 
   async fetchAll(table) {
-    return this.query(table, 'GET', null, { select: '*' });
+    const rows = await this.query(table, 'GET', null, { select: '*' });
+    return (rows || []).map(row => this.fromRow(table, row));
+  }
+
+  async fetchByIds(table, ids) {
+    if (!ids.length) return [];
+    const list = ids.map(id => `"${String(id).replace(/"/g, '')}"`).join(',');
+    const rows = await this.query(table, 'GET', null, { select: '*', id: `in.(${list})` });
+    return (rows || []).map(row => this.fromRow(table, row));
   }
 
+  // Rows changed after `since` (ms), oldest first
+  async fetchSince(table, since) {
+    if (!since) return this.fetchAll(table);
+    const rows = await this.query(table, 'GET', null, {
+      select: '*',
+      updated_at: `gt.${new Date(since).toISOString()}`,
+      order: 'updated_at.asc'
+    });
+    return (rows || []).map(row => this.fromRow(table, row));
+  }
+
+  /* Maps every record, sends the ones that mapped cleanly in one batch and
+     returns { data, report }. A bad record is reported, not fatal to the batch. */
   async upsert(table, data) {
     // Ensure data is an array
     const dataArray = Array.isArray(data) ? data : [data];
-    
-    // Add updated_at timestamp
-    const dataWithTimestamps = dataArray.map(item => ({
-      ...item,
-      updated_at: new Date().toISOString()
-    }));
+    const report = { table, at: new Date().toISOString(), sent: 0, rejected: [], dropped: {} };
+
+    const rows = [];
+    dataArray.forEach(item => {
+      try {
+        const { row, dropped } = this.toRow(table, item);
+        dropped.forEach(f => { report.dropped[f] = (report.dropped[f] || 0) + 1; });
+        rows.push({ ...row, updated_at: new Date().toISOString() });
+      } catch (err) {
+        report.rejected.push({ id: item && item.id, errors: (err.errors || [err]).map(e => e.message) });
+      }
+    });
+    report.sent = rows.length;
+    this.lastReports[table] = report;
 
-    return this.query(table, 'POST', dataWithTimestamps, {
+    if (report.rejected.length) {
+      console.warn(`Supabase ${table}: ${report.rejected.length} record(s) not sent —`, report.rejected);
+    }
+    if (Object.keys(report.dropped).length) {
+      console.warn(`Supabase ${table}: fields with no column were dropped —`, report.dropped);
+    }
+    if (!rows.length) return { data: [], report };
+
+    const result = await this.query(table, 'POST', rows, {
       on_conflict: 'id',
       select: '*'
     });
+    return { data: (result || []).map(row => this.fromRow(table, row)), report };
   }
 
   async insert(table, data) {
@@ -192,157 +423,1068 @@ class SupabaseClient {
 // Create Supabase client instance
 const supabase = new SupabaseClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
-/* -------------------- Improved Sync Routines -------------------- */
-async function syncFromRemote() {
-  console.log('Syncing from remote...');
-  
-  try {
-    // Fetch all tables in parallel
-    const [remoteUsers, remoteLevels, remoteSubs, remoteAudit] = await Promise.allSettled([
-      supabase.fetchAll('users').catch(() => []),
-      supabase.fetchAll('levels').catch(() => []),
-      supabase.fetchAll('submissions').catch(() => []),
-      supabase.fetchAll('audit_log').catch(() => [])
-    ]);
-
-    // Update local storage with remote data
-    if (remoteUsers.status === 'fulfilled') {
-      _writeLocal(KEY_USERS, remoteUsers.value || []);
-    }
-    if (remoteLevels.status === 'fulfilled') {
-      _writeLocal(KEY_LEVELS, remoteLevels.value || []);
+/* -------------------- Backends --------------------
+   Local backends are synchronous key/value stores the pages read from:
+     read(key, fallback) / write(key, value) / remove(key)
+   Remote backends are asynchronous table stores the local data is mirrored to:
+     async pull(table) -> rows / async pullSince(table, ms) -> rows changed after ms
+     async pullIds(table) -> ids / async pullByIds(table, ids) -> rows
+     async push(table, rows) -> { stored, rejected: [{ id, errors }] } / async delete(table, id)
+   MemoryBackend implements both, so tests can run without a browser store or network.
+*/
+class LocalStorageBackend {
+  constructor() {
+    this.name = 'localStorage';
+  }
+
+  read(key, fallback) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : _clone(fallback);
+    } catch(e) {
+      console.warn('storage: localStorage read error', key, e);
+      return _clone(fallback);
     }
-    if (remoteSubs.status === 'fulfilled') {
-      _writeLocal(KEY_SUBS, remoteSubs.value || []);
+  }
+
+  write(key, val) {
+    try {
+      localStorage.setItem(key, JSON.stringify(val));
+      return true;
+    } catch(e) {
+      console.warn('storage: localStorage write error', key, e);
+      return false;
     }
-    if (remoteAudit.status === 'fulfilled') {
-      _writeLocal(KEY_AUDIT, remoteAudit.value || []);
+  }
+
+  remove(key) {
+    localStorage.removeItem(key);
+  }
+}
+
+class MemoryBackend {
+  constructor(seed = {}) {
+    this.name = 'memory';
+    this.data = new Map(Object.entries(seed).map(([k, v]) => [k, _clone(v)]));
+  }
+
+  read(key, fallback) {
+    return this.data.has(key) ? _clone(this.data.get(key)) : _clone(fallback);
+  }
+
+  write(key, val) {
+    this.data.set(key, _clone(val));
+    return true;
+  }
+
+  remove(key) {
+    this.data.delete(key);
+  }
+
+  async pull(table) {
+    return this.read('table:' + table, []);
+  }
+
+  async pullSince(table, since) {
+    return this.read('table:' + table, []).filter(r => !since || (r.updatedAt || 0) > since);
+  }
+
+  async pullIds(table) {
+    return this.read('table:' + table, []).map(r => r.id);
+  }
+
+  async pullByIds(table, ids) {
+    const want = new Set(ids);
+    return this.read('table:' + table, []).filter(r => want.has(r.id));
+  }
+
+  async push(table, rows) {
+    const byId = new Map(this.read('table:' + table, []).map(r => [r.id, r]));
+    // Stamp updatedAt the way the database trigger does
+    const stamped = rows.map(r => ({ ..._clone(r), updatedAt: Math.max(now(), (r.updatedAt || 0) + 1) }));
+    stamped.forEach(r => byId.set(r.id, r));
+    this.write('table:' + table, Array.from(byId.values()));
+    return { stored: stamped, rejected: [] };
+  }
+
+  async delete(table, id) {
+    this.write('table:' + table, this.read('table:' + table, []).filter(r => r.id !== id));
+    return [];
+  }
+}
+
+class SupabaseBackend {
+  constructor(client) {
+    this.name = 'supabase';
+    this.client = client;
+    this.url = client.url;
+  }
+
+  async pull(table) {
+    return this.client.fetchAll(table);
+  }
+
+  async pullSince(table, since) {
+    return this.client.fetchSince(table, since);
+  }
+
+  async pullIds(table) {
+    const rows = await this.client.query(table, 'GET', null, { select: 'id' });
+    return (rows || []).map(r => r.id);
+  }
+
+  async pullByIds(table, ids) {
+    return this.client.fetchByIds(table, ids);
+  }
+
+  async push(table, rows) {
+    const { data, report } = await this.client.upsert(table, rows);
+    return { stored: data, rejected: report.rejected };
+  }
+
+  async delete(table, id) {
+    return this.client.delete(table, id);
+  }
+}
+
+/* -------------------- Repository --------------------
+   The single data layer every page goes through. Tables are cached in the
+   local backend and mirrored to the remote backend (if any) on every save.
+   Backend choice is explicit: set window.STORAGE_CONFIG before this file loads, e.g.
+     window.STORAGE_CONFIG = { local: 'memory', remote: 'none' }
+   and inspect the active choice at runtime with storageBackend().
+*/
+const TABLES = {
+  users: { key: KEY_USERS, remote: 'users' },
+  levels: { key: KEY_LEVELS, remote: 'levels' },
+  submissions: { key: KEY_SUBS, remote: 'submissions' },
+  audit: { key: KEY_AUDIT, remote: 'audit_log' },
+  roles: { key: KEY_ROLES, remote: 'roles' },
+  settings: { key: KEY_SETTINGS, remote: 'settings' },
+  changelog: { key: KEY_CHANGELOG, remote: 'list_changes' },
+  tags: { key: KEY_TAGS, remote: 'tags' }
+};
+
+const DEFAULT_STORAGE_CONFIG = { local: 'localStorage', remote: 'supabase' };
+
+function createBackend(kind) {
+  switch (kind) {
+    case 'localStorage': return new LocalStorageBackend();
+    case 'memory': return new MemoryBackend();
+    case 'supabase': return new SupabaseBackend(supabase);
+    case 'none': return null;
+    default: throw new Error(`storage: unknown backend "${kind}"`);
+  }
+}
+
+const Repository = {
+  local: null,
+  remote: null,
+
+  configure(config = {}) {
+    const cfg = { ...DEFAULT_STORAGE_CONFIG, ...config };
+    this.local = typeof cfg.local === 'object' ? cfg.local : createBackend(cfg.local);
+    this.remote = typeof cfg.remote === 'object' ? cfg.remote : createBackend(cfg.remote);
+    if (!this.local) throw new Error('storage: a local backend is required');
+    console.log('storage: backends', this.describe());
+    return this;
+  },
+
+  describe() {
+    return {
+      local: this.local ? this.local.name : null,
+      remote: this.remote ? this.remote.name : 'none',
+      remoteUrl: this.remote && this.remote.url ? this.remote.url : null,
+      tables: Object.keys(TABLES)
+    };
+  },
+
+  read(table) {
+    const rows = this.local.read(TABLES[table].key, []);
+    return Array.isArray(rows) ? rows : [];
+  },
+
+  /* Saves the table locally. Records that differ from what was stored get a fresh
+     updatedAt and are marked dirty; only dirty records are sent to the remote.
+     Seeded rows are stamped but never marked dirty. Returns false when the local backend
+     can't store the result (a full localStorage); `quiet` leaves sync and broadcast to the caller. */
+  write(table, rows, options = {}) {
+    const prev = new Map(this.read(table).map(r => [r.id, r]));
+    const pending = this.local.read(KEY_SYNC_PENDING, {});
+    const seeded = this.seededIds(table);
+    const stamp = now();
+    (rows || []).forEach(row => {
+      if (!row || !row.id) return;
+      const old = prev.get(row.id);
+      const { updatedAt: _a, ...next } = row;
+      const { updatedAt: _b, ...before } = old || {};
+      if (old && _stableStringify(next) === _stableStringify(before)) return;
+      row.updatedAt = stamp;
+      if (seeded.has(row.id)) return;
+      const key = table + ':' + row.id;
+      pending[key] = { table, id: row.id, op: 'upsert', rev: ((pending[key] && pending[key].rev) || 0) + 1, queuedAt: stamp };
+    });
+    if (!this.local.write(TABLES[table].key, rows || []) || !this.local.write(KEY_SYNC_PENDING, pending)) return false;
+    if (!options.quiet) {
+      this.scheduleSync(table);
+      broadcastChange(table);
     }
+    return true;
+  },
+
+  // Debounced pull-then-push of one table, so quick successive saves share one request
+  scheduleSync(table) {
+    if (!this.remote) return;
+    emitSyncStatus();
+    this._timers = this._timers || {};
+    clearTimeout(this._timers[table]);
+    this._timers[table] = setTimeout(() => {
+      syncTable(table).catch(console.error);
+    }, 250);
+  },
 
-    console.log('Sync from remote completed');
+  /* Deletes records locally and leaves a tombstone (a pending 'delete') that is
+     retried until the remote confirms it. Pulls never resurrect a tombstoned id.
+     Returns false and takes `quiet` as write() does. */
+  remove(table, ids, options = {}) {
+    const drop = new Set((ids || []).filter(Boolean));
+    if (!drop.size) return true;
+    const pending = this.local.read(KEY_SYNC_PENDING, {});
+    const base = this.local.read(KEY_SYNC_BASE, {})[table] || {};
+    const stamp = now();
+    const seeded = this.seededIds(table);
+    drop.forEach(id => {
+      const key = table + ':' + id;
+      if (seeded.has(id)) return; // local-only seed row
+      // Never reached the server: nothing to delete remotely
+      if (!base[id] && pending[key] && pending[key].op === 'upsert') {
+        delete pending[key];
+        return;
+      }
+      pending[key] = { table, id, op: 'delete', rev: ((pending[key] && pending[key].rev) || 0) + 1, queuedAt: stamp };
+    });
+    if (!this.local.write(TABLES[table].key, this.read(table).filter(r => !drop.has(r.id))) ||
+        !this.local.write(KEY_SYNC_PENDING, pending)) return false;
+    if (!options.quiet) {
+      this.scheduleSync(table);
+      broadcastChange(table);
+    }
     return true;
-  } catch (error) {
-    console.error('Failed to sync from remote:', error);
-    return false;
+  },
+
+  /* Seed data (the default head admin and sample levels) stays in this browser: it is
+     written only when the remote has no users, and is never queued for push. */
+  seededIds(table) {
+    return new Set((this.local.read(KEY_SEED_IDS, {})[table]) || []);
+  },
+
+  markSeeded(table, ids) {
+    const all = this.local.read(KEY_SEED_IDS, {});
+    all[table] = Array.from(new Set((all[table] || []).concat(ids)));
+    this.local.write(KEY_SEED_IDS, all);
+  },
+
+  forgetSeeded(table) {
+    const all = this.local.read(KEY_SEED_IDS, {});
+    delete all[table];
+    this.local.write(KEY_SEED_IDS, all);
+  },
+
+  pendingFor(table) {
+    return Object.values(this.local.read(KEY_SYNC_PENDING, {})).filter(p => p.table === table);
+  },
+
+  // Session state is per-browser and never leaves the local backend
+  readSession() {
+    return this.local.read(KEY_SESSION, null);
+  },
+
+  writeSession(session) {
+    return this.local.write(KEY_SESSION, session);
+  },
+
+  removeSession() {
+    this.local.remove(KEY_SESSION);
   }
+};
+
+Repository.configure(window.STORAGE_CONFIG || {});
+
+/* -------------------- Sync Routines --------------------
+   Delta sync. Each save marks changed records dirty (KEY_SYNC_PENDING, with a local
+   revision). A sync first pulls rows changed since the table's cursor and merges them
+   into the local cache, then pushes only the dirty records.
+
+   Merging is a three-way, field-level merge against KEY_SYNC_BASE (hashes of the
+   server version we last saw):
+     - only the server changed a field      -> take the server value
+     - only we changed it                   -> keep ours (it is still dirty)
+     - both changed it to different values  -> last writer wins by updatedAt, and the
+                                               conflict is reported
+   Conflicts on SURFACED_CONFLICT_FIELDS are kept for a mod to review.
+*/
+const SURFACED_CONFLICT_FIELDS = {
+  levels: ['placement'],
+  users: ['points', 'completedRecords']
+};
+const MAX_STORED_CONFLICTS = 200;
+
+function _fieldHashes(record) {
+  const out = {};
+  Object.keys(record).forEach(k => {
+    if (k !== 'updatedAt') out[k] = _hash(record[k]);
+  });
+  return out;
 }
 
-async function syncToRemote(tableKey, tableName) {
-  try {
-    const localData = _readLocal(tableKey, []);
-    
-    if (!Array.isArray(localData) || localData.length === 0) {
-      return true; // Nothing to sync
+function mergeRecord(table, local, remote, base) {
+  const merged = {};
+  const conflicts = [];
+  const fields = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base || {})]);
+  fields.delete('updatedAt');
+  fields.forEach(f => {
+    const lh = _hash(local[f]);
+    const rh = _hash(remote[f]);
+    if (lh === rh) { merged[f] = local[f]; return; }
+    const bh = base ? (base[f] || _hash(undefined)) : null;
+    if (bh !== null && lh === bh) { merged[f] = remote[f]; return; }
+    if (bh !== null && rh === bh) { merged[f] = local[f]; return; }
+    const localWins = (local.updatedAt || 0) >= (remote.updatedAt || 0);
+    merged[f] = localWins ? local[f] : remote[f];
+    conflicts.push({
+      id: 'conflict_' + uid(),
+      table,
+      recordId: local.id,
+      field: f,
+      local: local[f],
+      remote: remote[f],
+      winner: localWins ? 'local' : 'remote',
+      at: now()
+    });
+  });
+  Object.keys(merged).forEach(k => { if (merged[k] === undefined) delete merged[k]; });
+  merged.updatedAt = Math.max(local.updatedAt || 0, remote.updatedAt || 0);
+  return { merged, conflicts };
+}
+
+async function pullTable(table) {
+  const spec = TABLES[table];
+  const cursors = Repository.local.read(KEY_SYNC_CURSORS, {});
+  const since = cursors[table] || 0;
+  const remoteRows = await Repository.remote.pullSince(spec.remote, since);
+
+  const rows = Repository.read(table);
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const pending = Repository.local.read(KEY_SYNC_PENDING, {});
+  const baseAll = Repository.local.read(KEY_SYNC_BASE, {});
+  const base = baseAll[table] || {};
+  const report = { table, received: remoteRows.length, added: 0, updated: 0, merged: 0, conflicts: [] };
+  let cursor = since;
+
+  remoteRows.forEach(remote => {
+    if (!remote || !remote.id) return;
+    cursor = Math.max(cursor, remote.updatedAt || 0);
+    const local = byId.get(remote.id);
+    const key = table + ':' + remote.id;
+    if (pending[key] && pending[key].op === 'delete') return; // tombstoned here
+    if (!local) {
+      byId.set(remote.id, remote);
+      report.added++;
+    } else if (!pending[key]) {
+      byId.set(remote.id, remote);
+      report.updated++;
+    } else {
+      const { merged, conflicts } = mergeRecord(table, local, remote, base[remote.id]);
+      byId.set(remote.id, merged);
+      report.merged++;
+      report.conflicts.push(...conflicts);
     }
+    base[remote.id] = _fieldHashes(remote);
+  });
 
-    console.log(`Syncing ${tableName} to remote...`, localData.length, 'items');
-    
-    // For initial sync, we might want to insert all records
-    const result = await supabase.upsert(tableName, localData);
-    console.log(`Synced ${tableName}:`, result);
-    
+  // Real data on the remote replaces this browser's seed rows for the table
+  const seeded = Repository.seededIds(table);
+  if (seeded.size && remoteRows.some(r => r && r.id && !seeded.has(r.id))) {
+    seeded.forEach(id => byId.delete(id));
+    Repository.forgetSeeded(table);
+    report.updated++;
+  }
+
+  // First full pull: keep rows that only ever existed in this browser by queueing them
+  // (seed rows excluded: they must never reach the remote)
+  if (!since) {
+    const remoteIds = new Set(remoteRows.map(r => r.id));
+    byId.forEach((row, id) => {
+      const key = table + ':' + id;
+      if (!remoteIds.has(id) && !base[id] && !pending[key] && !seeded.has(id)) {
+        pending[key] = { table, id, op: 'upsert', rev: 1, queuedAt: now() };
+      }
+    });
+    Repository.local.write(KEY_SYNC_PENDING, pending);
+  }
+
+  baseAll[table] = base;
+  cursors[table] = cursor;
+  Repository.local.write(TABLES[table].key, Array.from(byId.values()));
+  Repository.local.write(KEY_SYNC_BASE, baseAll);
+  Repository.local.write(KEY_SYNC_CURSORS, cursors);
+  recordSyncConflicts(report.conflicts);
+  if (report.added || report.updated || report.merged) notifyDataChanged(table, 'remote');
+  return report;
+}
+
+async function pushTable(table) {
+  const spec = TABLES[table];
+  const queued = Repository.pendingFor(table).filter(isOutboxEntryDue);
+  if (!queued.length) return { table, sent: 0, deleted: 0 };
+
+  const upserts = queued.filter(p => p.op !== 'delete');
+  const deletes = queued.filter(p => p.op === 'delete');
+  const upsertIds = new Set(upserts.map(p => p.id));
+  const rows = Repository.read(table).filter(r => upsertIds.has(r.id));
+  const results = new Map(); // key -> null (done) | Error
+
+  if (rows.length) {
+    console.log(`Syncing ${spec.remote} to remote...`, rows.length, 'changed of', Repository.read(table).length);
+    try {
+      const { stored, rejected } = await Repository.remote.push(spec.remote, rows);
+      const rejectedById = new Map((rejected || []).map(r => [r.id, r]));
+      const baseAll = Repository.local.read(KEY_SYNC_BASE, {});
+      const base = baseAll[table] || {};
+      (stored && stored.length ? stored : rows).forEach(r => { if (!rejectedById.has(r.id)) base[r.id] = _fieldHashes(r); });
+      baseAll[table] = base;
+      Repository.local.write(KEY_SYNC_BASE, baseAll);
+      upserts.forEach(p => {
+        const rej = rejectedById.get(p.id);
+        results.set(p, rej ? Object.assign(new Error(rej.errors.join('; ')), { permanent: true }) : null);
+      });
+    } catch (error) {
+      upserts.forEach(p => results.set(p, error));
+    }
+  } else {
+    upserts.forEach(p => results.set(p, null)); // record no longer exists locally
+  }
+
+  // Deletes go one by one; a failure keeps its tombstone for a later retry
+  for (const p of deletes) {
+    try {
+      await Repository.remote.delete(spec.remote, p.id);
+      results.set(p, null);
+    } catch (error) {
+      results.set(p, error);
+    }
+  }
+
+  const summary = settleOutbox(table, results);
+  return { table, sent: summary.done, deleted: deletes.filter(p => results.get(p) === null).length, failed: summary.failed };
+}
+
+/* Delta pulls can't see rows deleted on another client, so compare id lists:
+   rows we had synced before that the server no longer has are dropped locally,
+   and server rows missing here (e.g. lost to a stale save) are fetched again. */
+async function reconcileDeletions(table) {
+  const spec = TABLES[table];
+  const remoteIds = new Set(await Repository.remote.pullIds(spec.remote));
+  const pending = Repository.local.read(KEY_SYNC_PENDING, {});
+  const baseAll = Repository.local.read(KEY_SYNC_BASE, {});
+  const base = baseAll[table] || {};
+  const rows = Repository.read(table);
+  const localIds = new Set(rows.map(r => r.id));
+
+  const gone = rows.filter(r => base[r.id] && !remoteIds.has(r.id) && !pending[table + ':' + r.id]).map(r => r.id);
+  if (gone.length) {
+    const drop = new Set(gone);
+    gone.forEach(id => { delete base[id]; });
+    baseAll[table] = base;
+    Repository.local.write(TABLES[table].key, rows.filter(r => !drop.has(r.id)));
+    Repository.local.write(KEY_SYNC_BASE, baseAll);
+  }
+
+  const missing = Array.from(remoteIds).filter(id => !localIds.has(id) && !pending[table + ':' + id]);
+  if (missing.length) {
+    const fetched = await Repository.remote.pullByIds(spec.remote, missing);
+    const current = Repository.read(table);
+    fetched.forEach(r => { current.push(r); base[r.id] = _fieldHashes(r); });
+    baseAll[table] = base;
+    Repository.local.write(TABLES[table].key, current);
+    Repository.local.write(KEY_SYNC_BASE, baseAll);
+  }
+  if (gone.length || missing.length) notifyDataChanged(table, 'remote');
+  return { table, removed: gone.length, restored: missing.length };
+}
+
+// Serialised per table: a sync requested while one runs is folded into a rerun
+const _syncState = {};
+async function syncTable(table) {
+  if (!Repository.remote) return null;
+  const st = _syncState[table] || (_syncState[table] = { running: null, again: false });
+  if (st.running) { st.again = true; return st.running; }
+  st.running = (async () => {
+    let report = null;
+    try {
+      do {
+        st.again = false;
+        try {
+          report = await pullTable(table);
+        } catch (error) {
+          // Can't reach the server: back off everything queued for this table
+          const results = new Map(Repository.pendingFor(table).filter(isOutboxEntryDue).map(p => [p, error]));
+          settleOutbox(table, results);
+          _syncStatus.lastError = error.message || String(error);
+          throw error;
+        }
+        report.pushed = (await pushTable(table)).sent;
+      } while (st.again);
+      _syncStatus.lastError = null;
+      _syncStatus.lastSyncAt = now();
+      if (report.conflicts.length) console.warn(`Sync conflicts in ${table}:`, report.conflicts);
+      return report;
+    } finally {
+      st.running = null;
+      emitSyncStatus();
+      scheduleOutboxRetry();
+    }
+  })();
+  return st.running;
+}
+
+async function syncFromRemote() {
+  if (!Repository.remote) return true;
+  console.log('Syncing from remote...');
+
+  const tables = Object.keys(TABLES);
+  const results = await Promise.allSettled(tables.map(t => syncTable(t).then(async report => {
+    report.reconciled = await reconcileDeletions(t);
+    return report;
+  })));
+  let ok = true;
+  results.forEach((res, i) => {
+    if (res.status === 'rejected') {
+      ok = false;
+      console.warn(`Sync of ${tables[i]} failed:`, res.reason);
+    }
+  });
+
+  console.log('Sync from remote completed', results.map(r => r.value || null));
+  return ok;
+}
+
+async function syncToRemote(table) {
+  if (!Repository.remote) return true;
+  try {
+    await pushTable(table);
     return true;
   } catch (error) {
-    console.error(`Failed to sync ${tableName}:`, error);
+    console.error(`Failed to sync ${TABLES[table].remote}:`, error);
     return false;
   }
 }
 
+/* -------------------- Live updates --------------------
+   Pages listen for `data:changed` ({ table, source }) and re-render their views.
+   - other tabs in this browser: BroadcastChannel, or `storage` events where it is missing
+   - other clients: polling pullSince() against updated_at (LIVE_POLL_INTERVAL) plus the
+     id-list check in reconcileDeletions(). PostgREST has no push channel, so no realtime.
+   Writes made by the page itself are not echoed back to it.
+*/
+const LIVE_CHANNEL_NAME = 'hyperlist-live';
+const LIVE_POLL_INTERVAL = 15000;
+const _liveChannel = (typeof window.BroadcastChannel === 'function') ? new window.BroadcastChannel(LIVE_CHANNEL_NAME) : null;
+
+function notifyDataChanged(table, source) {
+  window.dispatchEvent(new CustomEvent('data:changed', { detail: { table, source } }));
+}
+
+function broadcastChange(table) {
+  if (_liveChannel) _liveChannel.postMessage({ table, at: now() });
+}
+
+if (_liveChannel) {
+  _liveChannel.onmessage = (event) => {
+    const table = event.data && event.data.table;
+    if (TABLES[table]) notifyDataChanged(table, 'tab');
+  };
+} else {
+  window.addEventListener('storage', (event) => {
+    const table = Object.keys(TABLES).find(t => TABLES[t].key === event.key);
+    if (table) notifyDataChanged(table, 'tab');
+  });
+}
+
+/* Pull the latest rows (and deletions) for the given tables before acting on them,
+   e.g. so two mods can't approve the same submission from stale lists. */
+async function refreshTables(tables) {
+  if (!Repository.remote) return true;
+  await Promise.all(tables.map(t => syncTable(t).then(() => reconcileDeletions(t))));
+  return true;
+}
+
+/* -------------------- Outbox (retry, backoff, status) --------------------
+   KEY_SYNC_PENDING doubles as a persistent outbox of mutations. Each entry carries
+   attempts / nextAttemptAt / lastError. Network errors and 5xx/408/429 responses are
+   retried with exponential backoff; other 4xx responses and mapping rejections are
+   marked failed and wait for a manual retry from the sync status panel.
+*/
+const OUTBOX_BACKOFF_BASE = 2000;
+const OUTBOX_BACKOFF_MAX = 5 * 60 * 1000;
+const _syncStatus = { lastError: null, lastSyncAt: null };
+
+function isTransientSyncError(error) {
+  if (!error || error.permanent) return false;
+  if (!error.status) return true; // fetch rejected: offline, DNS, CORS preflight...
+  return error.status >= 500 || error.status === 408 || error.status === 429;
+}
+
+function isOutboxEntryDue(entry) {
+  return !entry.failed && (entry.nextAttemptAt || 0) <= now();
+}
+
+/* results: Map(entry -> null | Error). Clears confirmed entries (unless edited again
+   in the meantime), backs off transient failures and parks permanent ones. */
+function settleOutbox(table, results) {
+  const pending = Repository.local.read(KEY_SYNC_PENDING, {});
+  let done = 0;
+  let failed = 0;
+  results.forEach((error, entry) => {
+    const key = table + ':' + entry.id;
+    const current = pending[key];
+    if (!current) return;
+    if (!error) {
+      if (current.rev === entry.rev) delete pending[key];
+      done++;
+      return;
+    }
+    failed++;
+    current.attempts = (current.attempts || 0) + 1;
+    current.lastError = error.message || String(error);
+    current.lastAttemptAt = now();
+    if (isTransientSyncError(error)) {
+      const delay = Math.min(OUTBOX_BACKOFF_MAX, OUTBOX_BACKOFF_BASE * Math.pow(2, current.attempts - 1));
+      current.nextAttemptAt = now() + delay + Math.floor(Math.random() * 500);
+    } else {
+      current.failed = true;
+    }
+  });
+  Repository.local.write(KEY_SYNC_PENDING, pending);
+  return { done, failed };
+}
+
+let _outboxRetryTimer = null;
+function scheduleOutboxRetry() {
+  if (!Repository.remote) return;
+  clearTimeout(_outboxRetryTimer);
+  const waiting = Object.values(Repository.local.read(KEY_SYNC_PENDING, {})).filter(p => !p.failed && p.nextAttemptAt);
+  if (!waiting.length) return;
+  const next = Math.min(...waiting.map(p => p.nextAttemptAt));
+  _outboxRetryTimer = setTimeout(() => {
+    flushOutbox().catch(console.error);
+  }, Math.max(0, next - now()));
+}
+
+async function flushOutbox() {
+  const tables = new Set(Object.values(Repository.local.read(KEY_SYNC_PENDING, {})).map(p => p.table));
+  await Promise.allSettled(Array.from(tables).map(t => syncTable(t)));
+}
+
+/* Makes queued entries due now (all, or one by key) — used by "Retry" and `online`. */
+function retryOutbox(key) {
+  const pending = Repository.local.read(KEY_SYNC_PENDING, {});
+  Object.entries(pending).forEach(([k, p]) => {
+    if (key && k !== key) return;
+    delete p.failed;
+    p.nextAttemptAt = 0;
+  });
+  Repository.local.write(KEY_SYNC_PENDING, pending);
+  emitSyncStatus();
+  return flushOutbox();
+}
+
+/* Drops a queued operation without sending it. The local change stays local. */
+function discardOutboxEntry(key) {
+  const pending = Repository.local.read(KEY_SYNC_PENDING, {});
+  delete pending[key];
+  Repository.local.write(KEY_SYNC_PENDING, pending);
+  emitSyncStatus();
+}
+
+function getOutbox() {
+  return Object.entries(Repository.local.read(KEY_SYNC_PENDING, {})).map(([key, p]) => ({ key, ...p }));
+}
+
+function getSyncStatus() {
+  if (!Repository.remote) return { state: 'local', pending: 0, failed: 0, lastError: null, lastSyncAt: null };
+  const entries = getOutbox();
+  const failed = entries.filter(p => p.failed).length;
+  const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+  // Entries still backing off count as pending; only parked ones are errors
+  let state = 'synced';
+  if (failed) state = 'error';
+  else if (!online) state = 'offline';
+  else if (entries.length) state = 'pending';
+  return { state, pending: entries.length, failed, lastError: _syncStatus.lastError, lastSyncAt: _syncStatus.lastSyncAt };
+}
+
+function emitSyncStatus() {
+  window.dispatchEvent(new CustomEvent('sync:status', { detail: getSyncStatus() }));
+}
+
+window.addEventListener('online', () => {
+  console.log('Back online — flushing outbox');
+  retryOutbox().catch(console.error);
+});
+window.addEventListener('offline', () => emitSyncStatus());
+
+/* -------------------- Sync Conflicts -------------------- */
+function recordSyncConflicts(conflicts) {
+  const surfaced = conflicts.filter(c => (SURFACED_CONFLICT_FIELDS[c.table] || []).includes(c.field));
+  if (!surfaced.length) return;
+  const stored = Repository.local.read(KEY_SYNC_CONFLICTS, []);
+  Repository.local.write(KEY_SYNC_CONFLICTS, surfaced.concat(stored).slice(0, MAX_STORED_CONFLICTS));
+  window.dispatchEvent(new CustomEvent('sync:conflicts', { detail: surfaced }));
+}
+
+function getSyncConflicts() {
+  return Repository.local.read(KEY_SYNC_CONFLICTS, []);
+}
+
+/* Dismisses a surfaced conflict. With useOther the value that lost last-writer-wins
+   is written back to the record (and synced like any other edit). */
+function resolveSyncConflict(conflictId, useOther) {
+  const conflicts = getSyncConflicts();
+  const c = conflicts.find(x => x.id === conflictId);
+  if (!c) return false;
+  if (useOther) {
+    const rows = Repository.read(c.table);
+    const row = rows.find(r => r.id === c.recordId);
+    if (row) {
+      row[c.field] = _clone(c.winner === 'local' ? c.remote : c.local);
+      Repository.write(c.table, rows);
+    }
+  }
+  Repository.local.write(KEY_SYNC_CONFLICTS, conflicts.filter(x => x.id !== conflictId));
+  return true;
+}
+
 /* -------------------- Public API -------------------- */
-function getUsers() { 
-  const users = _readLocal(KEY_USERS, []);
-  console.log('getUsers:', users.length, 'users');
-  return users;
+function getUsers() {
+  return Repository.read('users');
 }
 
 function saveUsers(users) {
-  console.log('saveUsers:', users.length, 'users');
-  _writeLocal(KEY_USERS, users || []);
-  
-  // Sync to Supabase in background
-  setTimeout(() => {
-    syncToRemote(KEY_USERS, 'users').catch(console.error);
-  }, 0);
-  
-  return true;
+  console.log('saveUsers:', (users || []).length, 'users');
+  return Repository.write('users', users);
 }
 
-function getLevels() { 
-  const levels = _readLocal(KEY_LEVELS, []);
-  console.log('getLevels:', levels.length, 'levels');
-  return levels;
+function getLevels() {
+  return Repository.read('levels');
 }
 
 function saveLevels(levels) {
-  console.log('saveLevels:', levels.length, 'levels');
-  _writeLocal(KEY_LEVELS, levels || []);
-  
-  setTimeout(() => {
-    syncToRemote(KEY_LEVELS, 'levels').catch(console.error);
-  }, 0);
-  
-  return true;
+  console.log('saveLevels:', (levels || []).length, 'levels');
+  return Repository.write('levels', levels);
 }
 
-function getSubs() { 
-  const subs = _readLocal(KEY_SUBS, []);
-  console.log('getSubs:', subs.length, 'submissions');
-  return subs;
+function getSubs() {
+  return Repository.read('submissions');
 }
 
 function saveSubs(subs) {
-  console.log('saveSubs:', subs.length, 'submissions');
-  _writeLocal(KEY_SUBS, subs || []);
-  
-  setTimeout(() => {
-    syncToRemote(KEY_SUBS, 'submissions').catch(console.error);
-  }, 0);
-  
-  return true;
+  console.log('saveSubs:', (subs || []).length, 'submissions');
+  return Repository.write('submissions', subs);
+}
+
+function deleteLevels(ids) {
+  console.log('deleteLevels:', ids);
+  return Repository.remove('levels', ids);
+}
+
+function deleteSubs(ids) {
+  console.log('deleteSubs:', ids);
+  return Repository.remove('submissions', ids);
+}
+
+function getRoles() {
+  return Repository.read('roles');
+}
+
+function saveRoles(roles) {
+  console.log('saveRoles:', (roles || []).length, 'roles');
+  return Repository.write('roles', roles);
 }
 
-function getAudit() { 
-  const audit = _readLocal(KEY_AUDIT, []);
-  console.log('getAudit:', audit.length, 'audit entries');
-  return audit;
+function deleteRoles(ids) {
+  console.log('deleteRoles:', ids);
+  return Repository.remove('roles', ids);
+}
+
+function getTags() {
+  return Repository.read('tags');
+}
+
+function saveTags(tags) {
+  console.log('saveTags:', (tags || []).length, 'tags');
+  return Repository.write('tags', tags);
+}
+
+function deleteTags(ids) {
+  console.log('deleteTags:', ids);
+  return Repository.remove('tags', ids);
+}
+
+function getSettings() {
+  return Repository.read('settings');
+}
+
+function saveSettings(settings) {
+  console.log('saveSettings:', (settings || []).length, 'settings');
+  return Repository.write('settings', settings);
+}
+
+function getChangelog() {
+  return Repository.read('changelog');
+}
+
+function saveChangelog(entries) {
+  console.log('saveChangelog:', (entries || []).length, 'list changes');
+  return Repository.write('changelog', entries);
+}
+
+/* Audit entries are { id, action, actor, target, details, ts }. Older builds stored
+   { user_id, target_id, created_at } with user_id holding a user id rather than a
+   username; those are converted on read and rewritten in the new shape on the next save.
+   Remote rows get that id as `actor` via LEGACY_READERS, so an actor matching a user id
+   (and no username) is resolved the same way. */
+function normalizeAuditEntry(entry, users) {
+  if (!entry) return entry;
+  const { user_id, userId, target_id, targetId, target_type, created_at, createdAt, timestamp, ...rest } = entry;
+  const out = { ...rest };
+  const ref = out.actor || user_id || userId;
+  if (ref) {
+    const list = users || [];
+    const user = list.some(u => u.username === ref) ? null : list.find(u => u.id === ref);
+    out.actor = user ? user.username : ref;
+  }
+  if (out.target === undefined || out.target === null) out.target = target_id || targetId || null;
+  if (typeof out.details === 'string') {
+    try { out.details = JSON.parse(out.details); } catch (e) { out.details = { text: out.details }; }
+  }
+  if (!out.details || typeof out.details !== 'object') out.details = {};
+  let ts = out.ts || created_at || createdAt || timestamp || out.details.timestamp || null;
+  if (typeof ts === 'string') ts = isNaN(Number(ts)) ? Date.parse(ts) : Number(ts);
+  out.ts = Number.isFinite(ts) ? ts : null;
+  if (!out.actor) out.actor = null;
+  return out;
+}
+
+function getAudit() {
+  const users = getUsers();
+  return Repository.read('audit').map(e => normalizeAuditEntry(e, users));
 }
 
 function saveAudit(audit) {
-  console.log('saveAudit:', audit.length, 'audit entries');
-  _writeLocal(KEY_AUDIT, audit || []);
-  
-  setTimeout(() => {
-    syncToRemote(KEY_AUDIT, 'audit_log').catch(console.error);
-  }, 0);
-  
-  return true;
+  console.log('saveAudit:', (audit || []).length, 'audit entries');
+  const users = getUsers();
+  return Repository.write('audit', (audit || []).map(e => normalizeAuditEntry(e, users)));
+}
+
+/* -------------------- Backup and restore --------------------
+   A backup is one JSON archive: { format, version, createdAt, createdBy, redacted, tables }.
+   Records are checked against FIELD_MAPS before anything is written, and a restore either
+   replaces every table in the archive or, if a write fails, puts all of them back.
+   Only that local write is atomic: the remote has no multi-table transaction, so
+   pushRestoredBackup() sends the tables afterwards and reports any that didn't make it. */
+const BACKUP_FORMAT = 'demonlist-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_TABLES = ['users', 'levels', 'submissions', 'audit', 'tags'];
+// Left out of redacted archives; restoring one keeps the current values of these fields
+const BACKUP_REDACTED_FIELDS = {
+  users: ['password', 'resetCode', 'resetCodeExpires', 'resetCodeIssuedBy', 'profilePic']
+};
+
+function _backupRows(table) {
+  const rows = table === 'audit' ? getAudit() : Repository.read(table);
+  return rows.map(({ updatedAt, ...row }) => row);
+}
+
+function createBackup(options = {}) {
+  const session = Repository.readSession();
+  const tables = {};
+  BACKUP_TABLES.forEach(table => {
+    const hidden = options.redact ? (BACKUP_REDACTED_FIELDS[table] || []) : [];
+    tables[table] = _backupRows(table).map(row => {
+      const copy = _clone(row);
+      hidden.forEach(field => { delete copy[field]; });
+      return copy;
+    });
+  });
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: now(),
+    createdBy: session && session.username ? session.username : null,
+    redacted: !!options.redact,
+    tables
+  };
+}
+
+/* Returns { ok, errors, warnings }. Errors block a restore; warnings (fields the schema
+   doesn't know about) are shown but the records are kept as they are. */
+function validateBackup(archive) {
+  const errors = [];
+  const warnings = [];
+  if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+    return { ok: false, errors: ['Not a backup archive'], warnings };
+  }
+  if (archive.format !== BACKUP_FORMAT) errors.push(`Unknown format "${archive.format}"`);
+  if (typeof archive.version !== 'number') errors.push('Missing archive version');
+  else if (archive.version > BACKUP_VERSION) errors.push(`Archive version ${archive.version} is newer than this site supports (${BACKUP_VERSION})`);
+  if (!archive.tables || typeof archive.tables !== 'object') {
+    errors.push('Missing tables');
+    return { ok: false, errors, warnings };
+  }
+  BACKUP_TABLES.forEach(table => {
+    const rows = archive.tables[table];
+    if (!Array.isArray(rows)) { errors.push(`${table}: missing or not a list`); return; }
+    const map = FIELD_MAPS[TABLES[table].remote] || {};
+    const seen = new Set();
+    const unknown = new Set();
+    rows.forEach((row, i) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) { errors.push(`${table}[${i}]: not a record`); return; }
+      if (!row.id) { errors.push(`${table}[${i}]: missing id`); return; }
+      if (seen.has(row.id)) errors.push(`${table}#${row.id}: duplicate id`);
+      seen.add(row.id);
+      Object.entries(map).forEach(([field, spec]) => {
+        if (field === 'updatedAt') return;
+        const res = _coerceValue(row[field], spec.type);
+        if (!res.ok) errors.push(new FieldMappingError(table, row.id, field, res.message).message);
+        else if (spec.required && res.value === null && !(archive.redacted && (BACKUP_REDACTED_FIELDS[table] || []).includes(field))) {
+          errors.push(new FieldMappingError(table, row.id, field, 'required').message);
+        }
+      });
+      Object.keys(row).forEach(field => { if (!map[field] && field !== 'updatedAt') unknown.add(field); });
+    });
+    if (unknown.size) warnings.push(`${table}: fields not in the schema will be kept locally but not synced: ${[...unknown].join(', ')}`);
+  });
+  Object.keys(archive.tables).forEach(table => {
+    if (!BACKUP_TABLES.includes(table)) warnings.push(`${table}: not part of a backup, ignored`);
+  });
+  return { ok: !errors.length, errors, warnings };
+}
+
+// The rows a restore would write for one table, with redacted fields filled from current data
+function _restoreRows(archive, table) {
+  const hidden = archive.redacted ? (BACKUP_REDACTED_FIELDS[table] || []) : [];
+  const current = new Map(_backupRows(table).map(r => [r.id, r]));
+  return archive.tables[table].map(row => {
+    const { updatedAt, ...next } = _clone(row);
+    const old = current.get(next.id);
+    hidden.forEach(field => {
+      if (old && old[field] !== undefined) next[field] = old[field];
+      else delete next[field];
+    });
+    return next;
+  });
+}
+
+/* Per table: { added: [row], changed: [{ id, row, fields }], removed: [row] } */
+function diffBackup(archive) {
+  const diff = {};
+  BACKUP_TABLES.forEach(table => {
+    const current = new Map(_backupRows(table).map(r => [r.id, r]));
+    const incoming = _restoreRows(archive, table);
+    const ids = new Set(incoming.map(r => r.id));
+    const result = { added: [], changed: [], removed: [] };
+    incoming.forEach(row => {
+      const old = current.get(row.id);
+      if (!old) { result.added.push(row); return; }
+      const fields = [...new Set(Object.keys(old).concat(Object.keys(row)))]
+        .filter(f => _stableStringify(old[f]) !== _stableStringify(row[f])).sort();
+      if (fields.length) result.changed.push({ id: row.id, row, fields });
+    });
+    current.forEach((row, id) => { if (!ids.has(id)) result.removed.push(row); });
+    diff[table] = result;
+  });
+  return diff;
+}
+
+/* Writes every table or none: if any write fails (a full localStorage, say) the stored
+   tables and the sync outbox are put back exactly as they were before rethrowing.
+   Nothing is broadcast until every table has been written; the caller then pushes
+   the result with pushRestoredBackup(). */
+function restoreBackup(archive) {
+  const check = validateBackup(archive);
+  if (!check.ok) {
+    const err = new Error('Invalid backup: ' + check.errors.slice(0, 5).join('; '));
+    err.errors = check.errors;
+    throw err;
+  }
+  const diff = diffBackup(archive);
+  const plan = BACKUP_TABLES.map(table => ({ table, rows: _restoreRows(archive, table), removed: diff[table].removed.map(r => r.id) }));
+  const keys = BACKUP_TABLES.map(table => TABLES[table].key).concat([KEY_SYNC_PENDING]);
+  const snapshot = keys.map(key => [key, Repository.local.read(key, null)]);
+  try {
+    plan.forEach(({ table, rows, removed }) => {
+      if (!Repository.remove(table, removed, { quiet: true }) || !Repository.write(table, rows, { quiet: true })) {
+        throw new Error(`could not save ${table} locally (storage full?)`);
+      }
+    });
+  } catch (error) {
+    console.error('restoreBackup failed, rolling back:', error);
+    // Clear first so the old values fit again even if the new ones filled the quota
+    keys.forEach(key => Repository.local.remove(key));
+    snapshot.forEach(([key, value]) => { if (value !== null) Repository.local.write(key, value); });
+    throw error;
+  }
+  BACKUP_TABLES.forEach(table => {
+    broadcastChange(table);
+    notifyDataChanged(table, 'restore');
+  });
+  return diff;
+}
+
+/* Pushes the restored tables one at a time. Returns [{ table, pending, failed, error }]
+   for tables with records still queued; those stay in the outbox for the usual retry,
+   and until then the remote (and every client pulling from it) is only partly restored. */
+async function pushRestoredBackup() {
+  if (!Repository.remote) return [];
+  const unsent = [];
+  for (const table of BACKUP_TABLES) {
+    try {
+      await syncTable(table);
+    } catch (error) {
+      console.error(`pushRestoredBackup: ${table} failed:`, error);
+    }
+    const left = Repository.pendingFor(table);
+    if (left.length) {
+      const errored = left.find(p => p.lastError);
+      unsent.push({ table, pending: left.length, failed: left.filter(p => p.failed).length, error: errored ? errored.lastError : null });
+    }
+  }
+  return unsent;
 }
 
 /* -------------------- Session Management -------------------- */
+const SESSION_TIMEOUT = 24 * 60 * 60 * 1000;
+
 function setSession(sessionData) {
   try {
     // Add timestamp to session
-    const sessionWithTimestamp = {
+    Repository.writeSession({
       ...sessionData,
       created_at: now(),
       last_active: now()
-    };
-    localStorage.setItem(KEY_SESSION, JSON.stringify(sessionWithTimestamp));
-    
-    // Also sync to users table if we have a user
-    if (sessionData.userId) {
+    });
+
+    // Record the login on the user row
+    if (sessionData.username) {
       const users = getUsers();
-      const userIndex = users.findIndex(u => u.id === sessionData.userId);
-      
-      if (userIndex > -1) {
-        users[userIndex] = {
-          ...users[userIndex],
-          last_login: now()
-        };
+      const user = users.find(u => u.username === sessionData.username);
+      if (user) {
+        user.lastLogin = now();
         saveUsers(users);
       }
     }
-    
+
     return true;
   } catch (error) {
     console.error('setSession error:', error);
@@ -352,22 +1494,19 @@ function setSession(sessionData) {
 
 function getSession() {
   try {
-    const sessionRaw = localStorage.getItem(KEY_SESSION);
-    if (!sessionRaw) return null;
-    
-    const session = JSON.parse(sessionRaw);
-    
-    // Check if session is expired (24 hours)
-    const SESSION_TIMEOUT = 24 * 60 * 60 * 1000;
-    if (now() - session.last_active > SESSION_TIMEOUT) {
+    const session = Repository.readSession();
+    if (!session) return null;
+
+    // Sessions expire after 24 hours of inactivity
+    if (now() - (session.last_active || 0) > SESSION_TIMEOUT) {
       clearSession();
       return null;
     }
-    
+
     // Update last active time
     session.last_active = now();
-    localStorage.setItem(KEY_SESSION, JSON.stringify(session));
-    
+    Repository.writeSession(session);
+
     return session;
   } catch (error) {
     console.error('getSession error:', error);
@@ -377,22 +1516,23 @@ function getSession() {
 
 function clearSession() {
   try {
-    localStorage.removeItem(KEY_SESSION);
-    
-    // Log logout in audit
-    const session = getSession();
-    if (session && session.userId) {
+    // Read before removing so the logout can be attributed
+    const session = Repository.readSession();
+    Repository.removeSession();
+
+    if (session && session.username) {
       const auditLog = getAudit();
-      auditLog.push({
+      auditLog.unshift({
         id: uid(),
-        user_id: session.userId,
         action: 'logout',
-        details: { timestamp: now() },
-        created_at: now()
+        actor: session.username,
+        target: session.username,
+        details: {},
+        ts: now()
       });
       saveAudit(auditLog);
     }
-    
+
     return true;
   } catch (error) {
     console.error('clearSession error:', error);
@@ -400,9 +1540,16 @@ function clearSession() {
   }
 }
 
-/* -------------------- Enhanced Seeder -------------------- */
-async function initializeDatabase() {
+/* -------------------- Enhanced Seeder --------------------
+   Seeds only when there is no remote, or a pull from it just succeeded and found no
+   users. An unreachable remote is not an empty one: seeding then would put a second
+   head admin with the default password next to the real ones. */
+async function initializeDatabase(remoteSynced) {
   console.log('Initializing database...');
+  if (Repository.remote && !remoteSynced) {
+    console.warn('Remote not reachable: skipping seed');
+    return;
+  }
   
   // Check if we have any data
   const users = getUsers();
@@ -411,24 +1558,24 @@ async function initializeDatabase() {
   if (users.length === 0) {
     console.log('No users found, seeding initial data...');
     
-    // Create head admin
+    // Create head admin (app shape — SupabaseClient maps it to columns)
     const headAdmin = {
       id: 'user_' + uid(),
       username: 'zmmieh.',
-      password: '123456',
+      password: await hashPassword('123456'), // hashPassword: scripts.js (loaded before init runs)
       role: 'headadmin',
       nationality: 'Hungary',
       points: 1000,
-      created_at: now(),
-      profile_pic: '',
-      show_country: true,
+      createdAt: now(),
+      profilePic: '',
+      showCountry: true,
       bio: 'Head Administrator',
-      completed_records: [],
-      equipped_title: 'Admin',
-      is_active: true,
+      completedRecords: [],
+      equippedTitle: 'Admin',
       permissions: ['all']
     };
     
+    Repository.markSeeded('users', [headAdmin.id]);
     saveUsers([headAdmin]);
     
     // Create sample levels if none exist
@@ -437,43 +1584,43 @@ async function initializeDatabase() {
         {
           id: 'level_' + uid(),
           name: 'Bloodbath',
-          creator: 'Riot',
-          youtube_url: 'https://www.youtube.com/watch?v=JecDJ6b81JM',
-          difficulty: 'Extreme Demon',
-          points: 500,
+          creators: ['Riot'],
+          youtube: 'https://www.youtube.com/watch?v=JecDJ6b81JM',
+          tags: [],
           placement: 1,
-          verified: true,
-          created_at: now(),
-          verification_video: '',
-          notes: 'The original hardest demon'
+          status: 'published',
+          approvedBy: headAdmin.username,
+          approvedAt: now(),
+          createdAt: now()
         },
         {
           id: 'level_' + uid(),
           name: 'Sonic Wave',
-          creator: 'Cyclic',
-          youtube_url: 'https://www.youtube.com/watch?v=VKLsX0u7b8k',
-          difficulty: 'Extreme Demon',
-          points: 450,
+          creators: ['Cyclic'],
+          youtube: 'https://www.youtube.com/watch?v=VKLsX0u7b8k',
+          tags: [],
           placement: 2,
-          verified: true,
-          created_at: now(),
-          verification_video: '',
-          notes: 'Iconic wave challenge'
+          status: 'published',
+          approvedBy: headAdmin.username,
+          approvedAt: now(),
+          createdAt: now()
         }
       ];
       
+      Repository.markSeeded('levels', sampleLevels.map(l => l.id));
       saveLevels(sampleLevels);
     }
     
     // Create initial audit log entry
+    const initAuditId = 'audit_' + uid();
+    Repository.markSeeded('audit', [initAuditId]);
     saveAudit([{
-      id: 'audit_' + uid(),
-      user_id: headAdmin.id,
+      id: initAuditId,
       action: 'system_init',
-      target_type: 'system',
-      target_id: 'init',
+      actor: headAdmin.username,
+      target: 'init',
       details: { message: 'Database initialized with seed data' },
-      created_at: now()
+      ts: now()
     }]);
     
     console.log('Database seeded successfully');
@@ -499,20 +1646,20 @@ async function initializeStorage() {
     }
     
     // 2. Initialize database with seed data if empty
-    await initializeDatabase();
+    await initializeDatabase(remoteSynced);
     
-    // 3. Start periodic sync (every 2 minutes)
+    // 3. Poll for other clients' changes while the page is visible
     setInterval(async () => {
-      console.log('Running periodic sync...');
+      if (document.hidden) return;
       try {
-        await syncToRemote(KEY_USERS, 'users');
-        await syncToRemote(KEY_LEVELS, 'levels');
-        await syncToRemote(KEY_SUBS, 'submissions');
-        await syncToRemote(KEY_AUDIT, 'audit_log');
+        await syncFromRemote();
       } catch (syncError) {
         console.error('Periodic sync failed:', syncError);
       }
-    }, 120000); // 2 minutes
+    }, LIVE_POLL_INTERVAL);
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) syncFromRemote().catch(console.error);
+    });
     
     console.log('=== Storage Initialization Complete ===');
     
@@ -522,8 +1669,8 @@ async function initializeStorage() {
   } catch (error) {
     console.error('Storage initialization failed:', error);
     
-    // Fallback: just use localStorage
-    await initializeDatabase();
+    // Fallback: just use the local backend (seeds only when there is no remote)
+    await initializeDatabase(false);
   }
 }
 
@@ -541,24 +1688,54 @@ window.getLevels = getLevels;
 window.saveLevels = saveLevels;
 window.getSubs = getSubs;
 window.saveSubs = saveSubs;
+window.getRoles = getRoles;
+window.saveRoles = saveRoles;
+window.deleteRoles = deleteRoles;
+window.getSettings = getSettings;
+window.saveSettings = saveSettings;
+window.getChangelog = getChangelog;
+window.getTags = getTags;
+window.saveTags = saveTags;
+window.deleteTags = deleteTags;
+window.saveChangelog = saveChangelog;
+window.deleteLevels = deleteLevels;
+window.deleteSubs = deleteSubs;
 window.getAudit = getAudit;
 window.saveAudit = saveAudit;
+window.normalizeAuditEntry = normalizeAuditEntry;
+window.createBackup = createBackup;
+window.validateBackup = validateBackup;
+window.diffBackup = diffBackup;
+window.restoreBackup = restoreBackup;
+window.pushRestoredBackup = pushRestoredBackup;
 window.setSession = setSession;
 window.getSession = getSession;
 window.clearSession = clearSession;
 window.uid = uid;
 window.now = now;
+window.Repository = Repository;
+window.getSyncConflicts = getSyncConflicts;
+window.getSyncStatus = getSyncStatus;
+window.refreshTables = refreshTables;
+window.getOutbox = getOutbox;
+window.retryOutbox = retryOutbox;
+window.discardOutboxEntry = discardOutboxEntry;
+window.resolveSyncConflict = resolveSyncConflict;
+window.storageBackend = () => Repository.describe();
 
 /* -------------------- Debug Functions -------------------- */
 window.storageDebug = async function() {
   console.group('📦 Storage Debug Info');
   
+  console.log('🔌 Backends:', Repository.describe());
   console.log('📊 Local Storage:');
   console.log('Users:', getUsers());
   console.log('Levels:', getLevels());
   console.log('Submissions:', getSubs());
   console.log('Audit Log:', getAudit());
   console.log('Session:', getSession());
+  console.log('🗺️ Last mapping reports:', supabase.lastReports);
+  console.log('📮 Outbox:', getSyncStatus(), getOutbox());
   
   console.log('🌐 Testing Supabase Connection...');
   try {
@@ -574,7 +1751,8 @@ window.storageDebug = async function() {
 
 window.resetStorage = function() {
   if (confirm('This will clear ALL local data. Are you sure?')) {
-    localStorage.clear();
+    Object.values(TABLES).forEach(t => Repository.local.remove(t.key));
+    Repository.removeSession();
     console.log('Storage reset complete. Refreshing...');
     setTimeout(() => window.location.reload(), 1000);
   }
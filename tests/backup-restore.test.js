@@ -0,0 +1,103 @@
+/* Backup restore must write every table or none: node --test tests/ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite, scriptValue } = require('./helpers');
+
+// localStorage with a size limit, throwing the way browsers do when it is full
+function quotaStorage(limit) {
+  const data = new Map();
+  const size = () => [...data.values()].reduce((sum, v) => sum + v.length, 0);
+  return {
+    data,
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem(key, value) {
+      const prev = data.get(key);
+      data.set(key, String(value));
+      if (size() > limit) {
+        if (prev === undefined) data.delete(key); else data.set(key, prev);
+        const err = new Error('The quota has been exceeded.');
+        err.name = 'QuotaExceededError';
+        throw err;
+      }
+    },
+    removeItem: key => { data.delete(key); }
+  };
+}
+
+function loadStorage(limit) {
+  return loadSite({ config: { local: 'localStorage', remote: 'none' }, localStorage: quotaStorage(limit) });
+}
+
+function seed(ctx) {
+  ctx.saveUsers([{ id: 'u1', username: 'boss', role: 'headadmin', password: 'x' }]);
+  ctx.saveLevels([{ id: 'l1', name: 'First', placement: 1, status: 'published' }]);
+  ctx.saveAudit([{ id: 'a1', action: 'init', actor: 'system', target: null, details: {}, ts: 1 }]);
+}
+
+test('restoreBackup rolls every table back when a write hits the quota', () => {
+  const { ctx, events, posted } = loadStorage(4000);
+  seed(ctx);
+  const before = new Map(ctx.localStorage.data);
+  events.length = 0; posted.length = 0;
+
+  const archive = ctx.createBackup();
+  archive.tables.users.push({ id: 'u2', username: 'second', role: 'user' });
+  archive.tables.levels.push({ id: 'l2', name: 'Second', placement: 2, status: 'published' });
+  // audit is written after users and levels, and alone no longer fits
+  archive.tables.audit.push({ id: 'a2', action: 'note', actor: 'boss', target: null, details: { text: 'x'.repeat(5000) }, ts: 2 });
+
+  assert.throws(() => ctx.restoreBackup(archive), /could not save audit/);
+  assert.deepStrictEqual(new Map(ctx.localStorage.data), before);
+  assert.strictEqual(events.length, 0, 'no data:changed for a restore that did not happen');
+  assert.strictEqual(posted.length, 0, 'other tabs are not told about it either');
+});
+
+test('restoreBackup notifies each table once, after all writes', () => {
+  const { ctx, events, posted } = loadStorage(1e6);
+  seed(ctx);
+  events.length = 0; posted.length = 0;
+
+  const archive = ctx.createBackup();
+  archive.tables.users.push({ id: 'u2', username: 'second', role: 'user' });
+  ctx.restoreBackup(archive);
+
+  assert.deepStrictEqual(Array.from(ctx.getUsers(), u => u.username), ['boss', 'second']);
+  assert.deepStrictEqual(Array.from(events, e => e.detail.table).sort(), ['audit', 'levels', 'submissions', 'tags', 'users']);
+  assert.strictEqual(posted.length, 5);
+});
+
+// Remote that stores pushed rows, or rejects every push to the tables in `down`
+function fakeRemote(down) {
+  const stored = {};
+  return {
+    name: 'fake',
+    stored,
+    pullSince: async () => [],
+    pullIds: async table => Object.keys(stored[table] || {}),
+    push: async (table, rows) => {
+      if (down.includes(table)) throw Object.assign(new Error(`${table} is down`), { status: 503 });
+      rows.forEach(r => { (stored[table] = stored[table] || {})[r.id] = r; });
+      return { stored: rows, rejected: [] };
+    },
+    delete: async (table, id) => { delete (stored[table] || {})[id]; }
+  };
+}
+
+test('pushRestoredBackup reports the tables the remote did not take', async () => {
+  const { ctx } = loadStorage(1e6);
+  const remote = fakeRemote(['levels']);
+  const repo = scriptValue(ctx, 'Repository');
+  repo.configure({ local: repo.local, remote });
+  seed(ctx);
+
+  const archive = ctx.createBackup();
+  archive.tables.levels.push({ id: 'l2', name: 'Second', placement: 2, status: 'published' });
+  ctx.restoreBackup(archive);
+  const unsent = await ctx.pushRestoredBackup();
+
+  assert.deepStrictEqual(Array.from(unsent, u => u.table), ['levels']);
+  assert.strictEqual(unsent[0].pending, 2);
+  assert.match(unsent[0].error, /levels is down/);
+  assert.deepStrictEqual(Object.keys(remote.stored.users), ['u1']);
+  assert.strictEqual(remote.stored.levels, undefined);
+});
@@ -0,0 +1,46 @@
+/* Shared by the tests: runs the site's scripts in a bare VM context, with no browser
+   and no network. */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Objects from the VM context carry their own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/* Loads `files` (storage.js first) into a fresh context and returns it with what it
+   dispatched (`events`), broadcast to other tabs (`posted`) and the delays it asked
+   timers for (`timers`). Timers never fire, so storage initialisation and syncing only
+   run when a test calls them. Options: files, config (STORAGE_CONFIG), localStorage. */
+function loadSite(options = {}) {
+  const events = [];
+  const posted = [];
+  const timers = [];
+  const noElements = () => null;
+  const ctx = {
+    console: { log() {}, warn() {}, error() {} },
+    STORAGE_CONFIG: options.config || { local: 'memory', remote: 'none' },
+    document: { readyState: 'complete', hidden: false, addEventListener() {}, getElementById: noElements, querySelector: noElements, querySelectorAll: () => [] },
+    CustomEvent: class { constructor(type, init) { this.type = type; this.detail = init && init.detail; } },
+    BroadcastChannel: class { postMessage(msg) { posted.push(msg); } },
+    addEventListener() {},
+    dispatchEvent: event => { events.push(event); return true; },
+    setTimeout: (fn, ms) => { timers.push(ms); return timers.length; },
+    clearTimeout() {},
+    setInterval: () => 0,
+    fetch: () => Promise.reject(new Error('offline'))
+  };
+  if (options.localStorage) ctx.localStorage = options.localStorage;
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  (options.files || ['storage.js']).forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), ctx, { filename: file });
+  });
+  return { ctx, events, posted, timers };
+}
+
+// A value declared with const/class at the top level of a loaded script
+const scriptValue = (ctx, name) => vm.runInContext(name, ctx);
+
+module.exports = { loadSite, plain, scriptValue };
@@ -0,0 +1,79 @@
+/* Points: the curves, per-tier values and the recalculation from current placements:
+   node --test tests/ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite, plain } = require('./helpers');
+
+const loadScripts = () => loadSite({ files: ['storage.js', 'scripts.js'] }).ctx;
+
+const record = levelId => ({ levelId, levelName: levelId, ts: 1, awardedPoints: 0 });
+
+function seed(ctx) {
+  ctx.saveLevels([
+    { id: 'top', name: 'Top', placement: 1, status: 'published' },
+    { id: 'mid', name: 'Mid', placement: 80, status: 'published' },
+    { id: 'old', name: 'Old', placement: 3, status: 'published', legacy: true },
+    { id: 'wip', name: 'Pending', placement: 2, status: 'pending' }
+  ]);
+  ctx.saveUsers([
+    { id: 'u1', username: 'alice', points: 0, completedRecords: [record('top'), record('top'), record('mid')] },
+    { id: 'u2', username: 'bob', points: 0, completedRecords: [record('old'), record('wip')] }
+  ]);
+}
+
+test('the default curve runs from 100 at #1 down to 1 at the last Extended placement', () => {
+  const ctx = loadScripts();
+  assert.strictEqual(ctx.getPointsConfig().curve, 'tiered');
+  assert.deepStrictEqual([1, 75, 101, 125, 150].map(p => ctx.pointsForPlacement(p)), [100, 51, 34, 18, 1]);
+  ctx.saveSetting('tiers', { extendedEnd: 200 });
+  assert.deepStrictEqual([101, 150, 200].map(p => ctx.pointsForPlacement(p)), [50, 26, 1]);
+});
+
+test('Legacy levels are worth nothing and Extended can be flat', () => {
+  const ctx = loadScripts();
+  const cfg = { curve: 'linear', min: 1 };
+  const tiers = { mainEnd: 75, extendedEnd: 150, extendedRule: 'flat', extendedFlat: 5 };
+  assert.strictEqual(ctx.pointsForLevel({ placement: 10 }, cfg, tiers), 91);
+  assert.strictEqual(ctx.pointsForLevel({ placement: 80 }, cfg, tiers), 5);
+  assert.strictEqual(ctx.pointsForLevel({ placement: 160 }, cfg, tiers), 0);
+  assert.strictEqual(ctx.pointsForLevel({ placement: 3, legacy: true }, cfg, tiers), 0);
+});
+
+test('recalculation counts each published level once per player and is idempotent', () => {
+  const ctx = loadScripts();
+  seed(ctx);
+  const plan = ctx.applyPointsRecalculation(null, 'test');
+
+  assert.deepStrictEqual(plain(plan.changes.map(c => ({ username: c.username, from: c.from, to: c.to }))), [{ username: 'alice', from: 0, to: 148 }]);
+  const alice = ctx.getUsers().find(u => u.username === 'alice');
+  assert.strictEqual(alice.points, 148);
+  assert.deepStrictEqual(Array.from(alice.completedRecords, r => r.awardedPoints), [100, 0, 48]);
+  assert.strictEqual(ctx.getAudit().filter(e => e.action === 'recalculate_points').length, 1);
+
+  assert.strictEqual(ctx.applyPointsRecalculation(null, 'again').changes.length, 0);
+  assert.strictEqual(ctx.getAudit().filter(e => e.action === 'recalculate_points').length, 1);
+});
+
+test('a progress record scores nothing and leaves the level to a later full completion', () => {
+  const ctx = loadScripts();
+  seed(ctx);
+  ctx.saveUsers([{ id: 'u3', username: 'carol', points: 0, completedRecords: [Object.assign(record('top'), { percent: 60 }), Object.assign(record('top'), { percent: 100 })] }]);
+  ctx.applyPointsRecalculation(null, 'test');
+
+  const carol = ctx.getUsers().find(u => u.username === 'carol');
+  assert.deepStrictEqual(Array.from(carol.completedRecords, r => r.awardedPoints), [0, 100]);
+  assert.strictEqual(carol.points, 100);
+});
+
+test('automatic recalculation returns its summary for the list operation\'s own audit entry', () => {
+  const ctx = loadScripts();
+  seed(ctx);
+  assert.deepStrictEqual(plain(ctx.recalculatePointsAfterListChange('swap_placement')), { users: 1, changes: [{ username: 'alice', from: 0, to: 148 }] });
+  assert.strictEqual(ctx.getAudit().filter(e => e.action === 'recalculate_points').length, 0);
+  assert.strictEqual(ctx.recalculatePointsAfterListChange('swap_placement'), null);
+
+  ctx.saveSetting('points', { auto: false });
+  const levels = ctx.getLevels(); levels.find(l => l.id === 'top').placement = 50; ctx.saveLevels(levels);
+  assert.strictEqual(ctx.recalculatePointsAfterListChange('swap_placement'), null);
+  assert.strictEqual(ctx.getUsers().find(u => u.username === 'alice').points, 148);
+});
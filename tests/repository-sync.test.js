@@ -0,0 +1,97 @@
+/* Repository: dirty tracking, tombstones and the three-way merge on pull, against
+   in-memory backends: node --test tests/ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite, plain, scriptValue } = require('./helpers');
+
+function loadStorage() {
+  const { ctx } = loadSite();
+  const repo = scriptValue(ctx, 'Repository');
+  const MemoryBackend = scriptValue(ctx, 'MemoryBackend');
+  const remote = new MemoryBackend();
+  repo.configure({ local: new MemoryBackend(), remote });
+  return { ctx, repo, remote };
+}
+
+const level = (id, fields) => Object.assign({ id, name: id, placement: 1, status: 'published' }, fields);
+const outbox = repo => Object.fromEntries(Array.from(repo.pendingFor('levels'), p => [p.id, { op: p.op, rev: p.rev }]));
+
+test('write marks only new and changed records dirty, and never seed rows', () => {
+  const { ctx, repo } = loadStorage();
+  repo.markSeeded('levels', ['seed']);
+  ctx.saveLevels([level('a'), level('b', { placement: 2 }), level('seed', { placement: 3 })]);
+  assert.deepStrictEqual(outbox(repo), { a: { op: 'upsert', rev: 1 }, b: { op: 'upsert', rev: 1 } });
+
+  const levels = ctx.getLevels();
+  ctx.saveLevels(levels); // unchanged: nothing new to send
+  assert.deepStrictEqual(outbox(repo), { a: { op: 'upsert', rev: 1 }, b: { op: 'upsert', rev: 1 } });
+
+  levels.find(l => l.id === 'b').name = 'Renamed';
+  levels.find(l => l.id === 'seed').name = 'Still local';
+  ctx.saveLevels(levels);
+  assert.deepStrictEqual(outbox(repo), { a: { op: 'upsert', rev: 1 }, b: { op: 'upsert', rev: 2 } });
+});
+
+test('sync pushes dirty records and clears them', async () => {
+  const { ctx, repo, remote } = loadStorage();
+  ctx.saveLevels([level('a'), level('b', { placement: 2 })]);
+  await ctx.syncTable('levels');
+
+  assert.deepStrictEqual(Array.from(remote.read('table:levels', []), r => r.id).sort(), ['a', 'b']);
+  assert.deepStrictEqual(outbox(repo), {});
+});
+
+test('a removed record leaves a tombstone that pulls respect until the remote deletes it', async () => {
+  const { ctx, repo, remote } = loadStorage();
+  ctx.saveLevels([level('a'), level('b', { placement: 2 })]);
+  await ctx.syncTable('levels');
+
+  repo.remove('levels', ['a']);
+  assert.deepStrictEqual(outbox(repo), { a: { op: 'delete', rev: 1 } });
+  await ctx.pullTable('levels'); // the remote still has it
+  assert.deepStrictEqual(Array.from(ctx.getLevels(), l => l.id), ['b']);
+
+  await ctx.syncTable('levels');
+  assert.deepStrictEqual(Array.from(remote.read('table:levels', []), r => r.id), ['b']);
+  assert.deepStrictEqual(outbox(repo), {});
+});
+
+test('removing a record the remote never had queues nothing', () => {
+  const { ctx, repo } = loadStorage();
+  ctx.saveLevels([level('a')]);
+  repo.remove('levels', ['a']);
+  assert.deepStrictEqual(outbox(repo), {});
+  assert.deepStrictEqual(plain(ctx.getLevels()), []);
+});
+
+test('mergeRecord keeps each side\'s own changes and reports fields both sides changed', () => {
+  const { ctx } = loadStorage();
+  const base = ctx._fieldHashes({ id: 'a', name: 'A', placement: 1, tags: [] });
+  const local = { id: 'a', name: 'Local', placement: 1, tags: ['x'], updatedAt: 20 };
+  const remote = { id: 'a', name: 'Remote', placement: 4, tags: [], updatedAt: 10 };
+  const { merged, conflicts } = ctx.mergeRecord('levels', local, remote, base);
+
+  assert.deepStrictEqual(plain(merged), { id: 'a', name: 'Local', placement: 4, tags: ['x'], updatedAt: 20 });
+  assert.deepStrictEqual(plain(conflicts).map(({ id, at, ...c }) => c), [
+    { table: 'levels', recordId: 'a', field: 'name', local: 'Local', remote: 'Remote', winner: 'local' }
+  ]);
+});
+
+test('a pull merges remote edits into a dirty record field by field', async () => {
+  const { ctx, repo, remote } = loadStorage();
+  ctx.saveLevels([level('a', { name: 'First' })]);
+  await ctx.syncTable('levels');
+
+  // another client renames it while this one moves it
+  remote.write('table:levels', remote.read('table:levels', []).map(r => Object.assign(r, { name: 'Renamed', updatedAt: r.updatedAt + 1000 })));
+  const levels = ctx.getLevels();
+  levels[0].placement = 2;
+  ctx.saveLevels(levels);
+  await ctx.syncTable('levels');
+
+  const pick = r => ({ name: r.name, placement: r.placement });
+  assert.deepStrictEqual(pick(ctx.getLevels()[0]), { name: 'Renamed', placement: 2 });
+  assert.deepStrictEqual(pick(remote.read('table:levels', [])[0]), { name: 'Renamed', placement: 2 });
+  assert.deepStrictEqual(plain(ctx.getSyncConflicts()), []);
+  assert.deepStrictEqual(outbox(repo), {});
+});